@@ -6,38 +6,511 @@
  *
  * This version is written in pure ES5 (synchronous, no Promises) and assumes a synchronous
  * web_request(url, method, payload, headers) function is available.
+ *
+ * createSalsifyAI accepts an optional config object; config.cassette ({ mode, data }) records or
+ * replays web_request traffic for deterministic tests, and config.redaction adds rules to the
+ * redaction applied to debug, log and error output (see createRedactor).
  */
-function createSalsifyAI() {
+function createSalsifyAI(config) {
+  config = config || {};
+
+  // Credentials in headers, URLs and bodies. Header names match object keys at any depth.
+  var CREDENTIAL_RULES = {
+    headers: ["Authorization", "x-api-key", "api-key", "x-goog-api-key", "X-Amz-Security-Token"],
+    queryParams: ["key", "api_key", "apikey", "access_token", "X-Amz-Signature", "X-Amz-Credential", "X-Amz-Security-Token"],
+    // Service-account token exchanges carry a signed JWT in the body.
+    paths: ["payload.assertion"],
+    patterns: []
+  };
+
+  var DEFAULT_REDACTION_RULES = {
+    ...CREDENTIAL_RULES,
+    patterns: [
+      { pattern: /\bBearer\s+[A-Za-z0-9\-._~+\/]+=*/g, replacement: "Bearer REDACTED" },
+      { pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35}|AKIA[0-9A-Z]{16}|eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+)/g },
+      { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+      // International numbers and ten-digit national ones (01 23 45 67 89); GTINs have no separators or leading +.
+      { pattern: /\+\d{1,3}(?:[\s.-]?\(?\d{1,4}\)?){3,6}(?!\d)|\b0\d(?:[\s.-]?\d{2}){4}\b/g }
+    ]
+  };
+
+  // Opt-in with redaction.gtins: GTIN-8, -12, -13 and -14 digit runs. Not a default rule, since
+  // product identifiers are often what a debug trace is read for.
+  var GTIN_RULE = { pattern: /\b(?:\d{8}|\d{12,14})\b/g };
+
+  function toRegExp(pattern) {
+    if (pattern instanceof RegExp) {
+      return pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + "g");
+    }
+    return new RegExp(String(pattern), "g");
+  }
+
+  function parseRedactionPath(path) {
+    return String(path).replace(/^\$\.?/, "").replace(/\[(\*|\d+)\]/g, ".$1").split(".").filter(Boolean);
+  }
+
+  // Returns { redact(value), redactText(text), rules } where redact makes a redacted deep copy and
+  // never changes its input. rules: { headers, queryParams, patterns, paths, replacement, useDefaults }:
+  //   headers      object keys (typically header names) whose values are replaced, case-insensitive
+  //   queryParams  URL query parameters whose values are replaced in any string
+  //   patterns     RegExps (or { pattern, replacement }) replaced in any string
+  //   paths        dotted paths from the redacted value, e.g. "payload.messages[*].content"
+  //   gtins        true to also replace GTIN-shaped digit runs (8, 12, 13 or 14 digits)
+  // The default rules (credentials, bearer tokens, API keys, emails and phone numbers) are kept
+  // unless useDefaults is false.
+  function createRedactor(rules) {
+    rules = rules || {};
+    var base = rules.useDefaults === false ? { headers: [], queryParams: [], paths: [], patterns: [] } : DEFAULT_REDACTION_RULES;
+    var replacement = rules.replacement || "REDACTED";
+    var headers = base.headers.concat(rules.headers || []).map(name => String(name).toLowerCase());
+    var queryParams = base.queryParams.concat(rules.queryParams || []);
+    var paths = base.paths.concat(rules.paths || []).map(parseRedactionPath);
+    var patterns = base.patterns.concat(rules.gtins ? [GTIN_RULE] : [], rules.patterns || []).map(rule => {
+      var isRule = rule && !(rule instanceof RegExp) && typeof rule === "object";
+      return { pattern: toRegExp(isRule ? rule.pattern : rule), replacement: isRule && rule.replacement !== undefined ? rule.replacement : replacement };
+    });
+    var queryPattern = queryParams.length > 0
+      ? new RegExp("([?&](?:" + queryParams.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|") + ")=)[^&#\\s\"']*", "gi")
+      : null;
+
+    // Base64 content (inlined images and documents) is left alone: it holds no readable text and
+    // is too large to scan.
+    function isBinaryText(text) {
+      return /^data:[^,]*;base64,/.test(text) || (text.length > 1000 && /^[A-Za-z0-9+\/=_-]+$/.test(text));
+    }
+
+    function redactText(text) {
+      if (typeof text !== "string" || isBinaryText(text)) {
+        return text;
+      }
+      if (queryPattern) {
+        text = text.replace(queryPattern, "$1" + replacement);
+      }
+      patterns.forEach(rule => {
+        text = text.replace(rule.pattern, rule.replacement);
+      });
+      return text;
+    }
+
+    function pathMatches(path) {
+      return paths.some(rulePath => rulePath.length === path.length && rulePath.every((segment, i) => segment === "*" || segment === path[i]));
+    }
+
+    function redactValue(value, path) {
+      if (path.length > 0 && pathMatches(path)) {
+        return replacement;
+      }
+      if (typeof value === "string") {
+        return redactText(value);
+      }
+      if (Array.isArray(value)) {
+        return value.map((item, index) => redactValue(item, path.concat([String(index)])));
+      }
+      if (value instanceof Error) {
+        return redactText(value.message);
+      }
+      if (typeof value === "object" && value !== null) {
+        var copy = {};
+        Object.keys(value).forEach(key => {
+          copy[key] = headers.indexOf(key.toLowerCase()) !== -1 && value[key] ? replacement : redactValue(value[key], path.concat([key]));
+        });
+        return copy;
+      }
+      return value;
+    }
+
+    return {
+      redact: function(value) {
+        return redactValue(value, []);
+      },
+      redactText: redactText,
+      rules: { headers: headers, queryParams: queryParams, paths: paths.map(path => path.join(".")), patterns: patterns.map(rule => rule.pattern), replacement: replacement }
+    };
+  }
 
+  function mergeRedactionRules(rules, extra) {
+    var merged = { ...(rules || {}), ...extra };
+    ["headers", "queryParams", "patterns", "paths"].forEach(key => {
+      merged[key] = ((rules || {})[key] || []).concat(extra[key] || []);
+    });
+    return merged;
+  }
+
+  var redactor = createRedactor(config.redaction);
+  // Request fingerprints only drop credentials, so requests differing in other content stay distinct.
+  var credentialRedactor = createRedactor({ useDefaults: false, ...CREDENTIAL_RULES });
 
+  // Redacted copy of a request (or any debug output); the original is left untouched.
   function scrubHeaders(requestObject) {
-    if (requestObject.headers.Authorization) {
-      requestObject.headers['Authorization'] = 'REDACTED';
+    return redactor.redact(requestObject);
+  }
+
+  // Serializes with sorted object keys so equal values always produce the same string.
+  function stableStringify(value) {
+    if (value === undefined) {
+      return "null";
     }
-    if (requestObject.headers['x-api-key']) {
-      requestObject.headers['x-api-key'] = 'REDACTED'
+    if (Array.isArray(value)) {
+      return "[" + value.map(stableStringify).join(",") + "]";
     }
-    if (requestObject.headers['api-key']) {
-      requestObject.headers['api-key'] = 'REDACTED'
+    if (typeof value === "object" && value !== null) {
+      return "{" + Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => JSON.stringify(key) + ":" + stableStringify(value[key]))
+        .join(",") + "}";
     }
-    if (typeof requestObject.url === 'string' &&
-    requestObject.url.indexOf('generativelanguage.googleapis.com') !== -1) {
-      requestObject.url = requestObject.url.replace(/([?&])key=[^&]+/, '$1key=REDACTED');
+    return JSON.stringify(value);
+  }
+
+  function fnv1a(text, seed) {
+    var hash = seed >>> 0;
+    for (var i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
     }
-    return requestObject;
+    return ("0000000" + hash.toString(16)).slice(-8);
+  }
+
+  // The runtime has no crypto module; two seeded 32-bit FNV-1a passes give a 64-bit hex digest.
+  function hashString(text) {
+    return fnv1a(text, 0x811c9dc5) + fnv1a(text, 0x050c5d1f);
+  }
+
+  function cloneRequest(requestObject) {
+    return JSON.parse(JSON.stringify(requestObject));
+  }
+
+  // Identifies a request by method, scrubbed URL and payload; headers (and so credentials) are ignored.
+  function requestFingerprint(requestObject) {
+    var scrubbed = credentialRedactor.redact(requestObject);
+    return hashString(stableStringify({
+      method: String(scrubbed.method).toUpperCase(),
+      url: scrubbed.url,
+      payload: scrubbed.payload
+    }));
+  }
+
+  // Record/replay of web_request traffic. In "record" mode every request is sent and stored as
+  // fingerprint -> [{ request, response | error }] with credentials scrubbed; in "replay" mode
+  // responses come from the cassette data and unmatched requests throw.
+  function createCassette(cassetteOptions) {
+    var mode = cassetteOptions.mode;
+    if (mode !== "record" && mode !== "replay") {
+      throw new Error("Cassette mode must be 'record' or 'replay'.");
+    }
+    var data = cassetteOptions.data ? JSON.parse(JSON.stringify(cassetteOptions.data)) : { version: 1, interactions: {} };
+    data.interactions = data.interactions || {};
+    var playCounts = {};
+
+    function recordInteraction(requestObject, fingerprint) {
+      var interaction = { request: scrubHeaders(cloneRequest(requestObject)) };
+      data.interactions[fingerprint] = data.interactions[fingerprint] || [];
+      data.interactions[fingerprint].push(interaction);
+      try {
+        var response = web_request(requestObject.url, requestObject.method, requestObject.payload, requestObject.headers);
+        interaction.response = JSON.parse(JSON.stringify(response === undefined ? null : response));
+        return response;
+      } catch (e) {
+        interaction.error = e instanceof Error ? e.message : String(e);
+        throw e;
+      }
+    }
+
+    // Repeated identical requests replay their recorded responses in order; the last one repeats.
+    function replayInteraction(requestObject, fingerprint) {
+      var interactions = data.interactions[fingerprint];
+      if (!interactions || interactions.length === 0) {
+        var scrubbed = scrubHeaders(cloneRequest(requestObject));
+        var miss = new Error(`No cassette interaction matches ${scrubbed.method} ${scrubbed.url} (fingerprint ${fingerprint}).`);
+        miss.cassetteMiss = true;
+        throw miss;
+      }
+      var index = Math.min(playCounts[fingerprint] || 0, interactions.length - 1);
+      playCounts[fingerprint] = index + 1;
+      var interaction = interactions[index];
+      if (interaction.hasOwnProperty("error")) {
+        throw new Error(interaction.error);
+      }
+      return JSON.parse(JSON.stringify(interaction.response));
+    }
+
+    return {
+      mode: mode,
+      send: function(requestObject) {
+        var fingerprint = requestFingerprint(requestObject);
+        return mode === "record" ? recordInteraction(requestObject, fingerprint) : replayInteraction(requestObject, fingerprint);
+      },
+      data: function() {
+        return JSON.parse(JSON.stringify(data));
+      }
+    };
+  }
+
+  var cassette = config.cassette ? createCassette(config.cassette) : null;
+
+  // In-memory storage adapter for the response cache; lives as long as the SalsifyAI instance.
+  // Any object with synchronous get(key) and set(key, entry) methods can be used instead.
+  function createMemoryCache() {
+    var entries = {};
+    return {
+      get: function(key) {
+        return entries.hasOwnProperty(key) ? entries[key] : null;
+      },
+      set: function(key, entry) {
+        entries[key] = entry;
+      }
+    };
+  }
+
+  function normalizeVector(vector) {
+    var norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector.slice() : vector.map(value => value / norm);
+  }
+
+  // In-memory nearest-neighbour index over embedding vectors, scored by cosine similarity.
+  // toJSON() returns plain data that can be cached and passed back to createVectorIndex(data).
+  function createVectorIndex(data) {
+    var items = [];
+    var dimensions = null;
+
+    function add(id, vector, metadata) {
+      if (!Array.isArray(vector) || vector.length === 0) {
+        throw new Error(`Vector for '${id}' must be a non-empty array of numbers.`);
+      }
+      if (dimensions !== null && vector.length !== dimensions) {
+        throw new Error(`Vector for '${id}' has ${vector.length} dimensions; the index uses ${dimensions}.`);
+      }
+      dimensions = vector.length;
+      items = items.filter(item => item.id !== id);
+      items.push({ id: id, vector: normalizeVector(vector), metadata: metadata === undefined ? null : metadata });
+      return index;
+    }
+
+    // Returns the k best matches as [{ id, score, metadata }], best first.
+    function search(vector, k) {
+      if (dimensions !== null && vector.length !== dimensions) {
+        throw new Error(`Query vector has ${vector.length} dimensions; the index uses ${dimensions}.`);
+      }
+      var query = normalizeVector(vector);
+      return items
+        .map(item => ({ id: item.id, score: item.vector.reduce((sum, value, i) => sum + value * query[i], 0), metadata: item.metadata }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k || 5);
+    }
+
+    var index = {
+      add: add,
+      // entries: [{ id, vector, metadata }]
+      addAll: function(entries) {
+        entries.forEach(entry => add(entry.id, entry.vector, entry.metadata));
+        return index;
+      },
+      remove: function(id) {
+        items = items.filter(item => item.id !== id);
+        return index;
+      },
+      search: search,
+      size: function() {
+        return items.length;
+      },
+      toJSON: function() {
+        return JSON.parse(JSON.stringify({ version: 1, dimensions: dimensions, items: items }));
+      }
+    };
+
+    if (data) {
+      index.addAll(data.items || []);
+    }
+    return index;
+  }
+
+  function sendWebRequest(requestObject) {
+    if (cassette) {
+      return cassette.send(requestObject);
+    }
+    return web_request(requestObject.url, requestObject.method, requestObject.payload, requestObject.headers);
+  }
+
+  // Retries are opt-in: a provider makes a single attempt unless maxAttempts is raised
+  // via setRetryPolicy() or params.retry.
+  var DEFAULT_RETRY_POLICY = {
+    maxAttempts: 1,
+    retryableStatuses: [408, 409, 429, 500, 502, 503, 504, 529],
+    retryableMessages: ["rate limit", "rate_limit", "throttling", "overloaded", "timeout", "timed out", "temporarily unavailable", "resource_exhausted"],
+    initialDelayMs: 1000,
+    backoffFactor: 2,
+    maxDelayMs: 16000,
+    sleep: null
+  };
+
+  function resolveRetryPolicy(providerPolicy, requestPolicy) {
+    return { ...DEFAULT_RETRY_POLICY, ...(providerPolicy || {}), ...(requestPolicy || {}) };
+  }
+
+  // The runtime has no timers, so the default sleep spins on the clock. Supply policy.sleep
+  // to use a platform-provided pause instead.
+  function busyWait(ms) {
+    var until = Date.now() + ms;
+    while (Date.now() < until) {}
+  }
+
+  function backoffDelay(policy, attempt) {
+    var delay = policy.initialDelayMs * Math.pow(policy.backoffFactor, attempt - 1);
+    return Math.min(delay, policy.maxDelayMs);
+  }
+
+  // Normalizes a thrown web_request error into { status, message, type }, reading the HTTP status
+  // from the error text when present and the provider's message from a JSON error body in it.
+  function describeError(error) {
+    var text = error instanceof Error ? error.message : String(error);
+    // Only the status web_request puts first ("429 ...", "HTTP 429 ..."), so other numbers in the
+    // text, such as a port or a byte count, are not taken for one.
+    var statusMatch = text.match(/^\s*(?:HTTP(?:\/[\d.]+)?\s+)?([45]\d\d)\b/i);
+    var status = statusMatch ? Number(statusMatch[1]) : null;
+    var jsonStart = text.indexOf("{");
+    if (jsonStart !== -1) {
+      try {
+        var body = describeErrorBody(JSON.parse(text.substr(jsonStart)));
+        if (body) {
+          return { status: body.status || status, message: body.message, type: body.type };
+        }
+      } catch (e) {
+        // Not a JSON body; fall back to the raw text.
+      }
+    }
+    return { status: status, message: text, type: null };
+  }
+
+  // Normalizes a provider error body (OpenAI/Mistral/Gemini { error: {...} }, Anthropic
+  // { type: "error", error: {...} }) into { status, message, type }. Returns null for anything else.
+  function describeErrorBody(response) {
+    if (typeof response !== "object" || response === null || !response.error) {
+      return null;
+    }
+    var error = response.error;
+    if (typeof error !== "object") {
+      return describeError(error);
+    }
+    var status = typeof error.code === "number" ? error.code : null;
+    var message = [error.type, error.status, error.code, error.message].filter(Boolean).join(": ");
+    return { status: status, message: message || JSON.stringify(error), type: error.type || error.status || (typeof error.code === "string" ? error.code : null) };
+  }
+
+  var ERROR_CODES = ["AUTH", "RATE_LIMIT", "INVALID_SCHEMA", "CONTENT_FILTER", "TRUNCATED", "PROVIDER_ERROR", "PARSE_ERROR"];
+
+  // The single error shape of SalsifyAI calls: { name, type: "SalsifyAIError", code, message,
+  // provider, model, status, retryable, finishReason, details }. It is an Error so it can be
+  // thrown, with every field enumerable so it survives being returned from a workflow step.
+  function createSalsifyAIError(code, message, fields) {
+    if (ERROR_CODES.indexOf(code) === -1) {
+      throw new Error(`Unknown SalsifyAIError code '${code}'.`);
+    }
+    var error = new Error(message);
+    Object.defineProperty(error, "message", { value: message, enumerable: true, writable: true, configurable: true });
+    error.name = "SalsifyAIError";
+    error.type = "SalsifyAIError";
+    error.code = code;
+    error.provider = null;
+    error.model = null;
+    error.status = null;
+    error.retryable = false;
+    error.finishReason = null;
+    error.details = {};
+    Object.keys(fields || {}).forEach(key => {
+      error[key] = fields[key];
+    });
+    return error;
+  }
+
+  function isSalsifyAIError(value) {
+    return !!value && typeof value === "object" && value.type === "SalsifyAIError";
+  }
+
+  // AUTH and RATE_LIMIT come from the HTTP status or the provider's error type and message;
+  // everything else is a PROVIDER_ERROR.
+  function failureCode(failure) {
+    var text = ((failure.type || "") + " " + failure.message).toLowerCase();
+    if (failure.status === 401 || failure.status === 403 || /authenticat|permission|unauthori[sz]ed|forbidden|api key|api_key/.test(text)) {
+      return "AUTH";
+    }
+    if (failure.status === 429 || /rate.?limit|quota|resource_exhausted|too many requests|throttl/.test(text)) {
+      return "RATE_LIMIT";
+    }
+    return "PROVIDER_ERROR";
+  }
+
+  var FINISH_REASONS = {
+    length: ["length", "max_tokens", "model_length"],
+    content_filter: ["content_filter", "content_filtered", "guardrail_intervened", "refusal", "safety", "recitation", "blocklist", "prohibited_content", "spii", "image_safety"],
+    tool_calls: ["tool_calls", "tool_use", "function_call"],
+    stop: ["stop", "end_turn", "stop_sequence"]
+  };
+
+  // Maps a provider finish reason onto "stop", "length", "content_filter" or "tool_calls";
+  // anything else is returned lower-cased.
+  function normalizeFinishReason(reason) {
+    if (!reason) {
+      return null;
+    }
+    reason = String(reason).toLowerCase();
+    return Object.keys(FINISH_REASONS).filter(key => FINISH_REASONS[key].indexOf(reason) !== -1)[0] || reason;
+  }
+
+  function isRetryable(failure, policy) {
+    if (failure.status !== null && policy.retryableStatuses.indexOf(failure.status) !== -1) {
+      return true;
+    }
+    var message = failure.message.toLowerCase();
+    return policy.retryableMessages.some(pattern => message.indexOf(pattern.toLowerCase()) !== -1);
   }
 
   // A shared function to perform the web request using the built request object.
-  function performRequest(requestObject) {
-    try {
-      if (requestObject.debugPrompt) {
-        return scrubHeaders(requestObject);
+  // Retryable failures (thrown errors or error bodies) are retried with exponential backoff.
+  // When a callRecord object is supplied it is filled with { attempts, status, message }.
+  function performRequest(requestObject, retryPolicy, callRecord) {
+    var policy = retryPolicy || DEFAULT_RETRY_POLICY;
+    var record = callRecord || {};
+    var sleep = policy.sleep || busyWait;
+
+    if (requestObject.debugPrompt) {
+      record.attempts = 0;
+      record.status = "debug";
+      return scrubHeaders(requestObject);
+    }
+
+    var response;
+    for (var attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+      record.attempts = attempt;
+      var failure;
+      try {
+        response = sendWebRequest(requestObject);
+        failure = describeErrorBody(response);
+      } catch (e) {
+        // A replay miss means the fixture is out of date; surface it instead of reporting a provider failure.
+        if (e && e.cassetteMiss) {
+          throw e;
+        }
+        response = { "status": "failure", "request": scrubHeaders(requestObject), "message": redactor.redactText(e instanceof Error ? e.message : String(e)) };
+        failure = describeError(e);
+      }
+
+      if (!failure) {
+        record.status = "success";
+        record.message = null;
+        record.failure = null;
+        return response;
+      }
+
+      record.status = "failure";
+      record.message = redactor.redactText(failure.message);
+      record.failure = { status: failure.status, message: record.message, type: failure.type || null };
+      if (attempt < policy.maxAttempts && isRetryable(failure, policy)) {
+        sleep(backoffDelay(policy, attempt));
       } else {
-        return web_request(requestObject.url, requestObject.method, requestObject.payload, requestObject.headers);
+        break;
       }
-    } catch (e) {
-      return { "status": "failure", "request": scrubHeaders(requestObject), "message": e };
     }
+    return response;
   }
 
   // Helper to correctly join a base URL with an endpoint path.
@@ -147,8 +620,102 @@ function createSalsifyAI() {
     return errors;
   }
 
+  function escapePointerSegment(segment) {
+    return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+  }
+
+  function schemaTypeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  }
+
+  function matchesSchemaType(value, type) {
+    var actual = schemaTypeOf(value);
+    if (type === "integer") {
+      return actual === "number" && Math.floor(value) === value;
+    }
+    return actual === type;
+  }
+
+  // Validates a value against the JSON Schema subset used by our response formats
+  // (type, properties, required, enum, items, additionalProperties). Returns an array of
+  // { path, message } violations where path is a JSON pointer ("" is the document root).
+  function validateSchema(value, schema, path) {
+    path = path || "";
+    var violations = [];
+
+    if (typeof schema !== "object" || schema === null) {
+      return violations;
+    }
+
+    if (schema.type) {
+      var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesSchemaType(value, type))) {
+        violations.push({ path: path, message: `Expected type ${types.join(" or ")} but got ${schemaTypeOf(value)}.` });
+        return violations;
+      }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+      violations.push({ path: path, message: `Value ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}.` });
+    }
+
+    if (schemaTypeOf(value) === "object") {
+      var properties = schema.properties || {};
+
+      (schema.required || []).forEach(key => {
+        if (!value.hasOwnProperty(key)) {
+          violations.push({ path: path + "/" + escapePointerSegment(key), message: `Missing required property '${key}'.` });
+        }
+      });
+
+      Object.keys(value).forEach(key => {
+        var childPath = path + "/" + escapePointerSegment(key);
+        if (properties.hasOwnProperty(key)) {
+          violations = violations.concat(validateSchema(value[key], properties[key], childPath));
+        } else if (schema.additionalProperties === false) {
+          violations.push({ path: childPath, message: `Unexpected property '${key}'.` });
+        } else if (typeof schema.additionalProperties === "object") {
+          violations = violations.concat(validateSchema(value[key], schema.additionalProperties, childPath));
+        }
+      });
+    }
+
+    if (schemaTypeOf(value) === "array" && schema.items) {
+      value.forEach((item, index) => {
+        violations = violations.concat(validateSchema(item, schema.items, path + "/" + index));
+      });
+    }
+
+    return violations;
+  }
+
+  // Checks extracted content against responseFormat.schema. Returns null when the content
+  // conforms, otherwise a ResponseValidationError object describing each violation.
+  function validateStructuredResponse(content, responseFormat) {
+    var violations;
+    if (typeof content === "string") {
+      violations = [{ path: "", message: "Response is not valid JSON." }];
+    } else if (responseFormat && typeof responseFormat.schema === "object" && responseFormat.schema !== null) {
+      violations = validateSchema(content, responseFormat.schema);
+    } else {
+      violations = [];
+    }
+
+    if (violations.length === 0) {
+      return null;
+    }
+    return {
+      type: "ResponseValidationError",
+      message: "Response does not conform to the '" + (responseFormat.name || "response") + "' schema.",
+      violations: violations,
+      content: content
+    };
+  }
+
   function extractJSON(content, coerceJSON) {
-    if (coerceJSON) {
+    if (coerceJSON && typeof content === "string") {
       try {
         return JSON.parse(content);
       } catch (e) {
@@ -159,15 +726,31 @@ function createSalsifyAI() {
     return content;
   }
 
-  function guessMimeType(url) {
-    const extensionToMime = {
-      "png": "image/png",
-      "jpg": "image/jpeg",
-      "jpeg": "image/jpeg",
-      "webp": "image/webp",
-      "heic": "image/heic",
-      "heif": "image/heif"
-    };
+  const extensionToMime = {
+    "png": "image/png",
+    "jpg": "image/jpeg",
+    "jpeg": "image/jpeg",
+    "webp": "image/webp",
+    "heic": "image/heic",
+    "heif": "image/heif",
+    "gif": "image/gif",
+    "pdf": "application/pdf"
+  };
+
+  // Uses, in order, the file's magic bytes when its base64 data is at hand, a Cloudinary format
+  // transformation (f_png) and the URL's extension. Returns "unknown" when none of them tell.
+  function guessMimeType(url, base64Data) {
+    var sniffed = base64Data ? sniffMimeType(base64Data) : null;
+    if (sniffed) {
+      return sniffed;
+    }
+
+    var cloudinary = parseCloudinaryUrl(url);
+    var formats = cloudinary ? cloudinary.transformations.join(",").split(",").filter(part => /^f_/.test(part)) : [];
+    var format = formats.length > 0 ? formats[formats.length - 1].substr(2).toLowerCase() : null;
+    if (format && extensionToMime[format]) {
+      return extensionToMime[format];
+    }
 
     // Extract file extension from the URL
     const match = url.match(/\.([a-z0-9]+)(?:[\?#]|$)/i);
@@ -176,146 +759,2009 @@ function createSalsifyAI() {
     return ext ? extensionToMime[ext] || "unknown" : "unknown";
   }
 
-  function toYAML(obj, indent = 0) {
-    const spacing = "  ".repeat(indent);
-    if (Array.isArray(obj)) {
-        return obj.map(item => `${spacing}- ${toYAML(item, indent + 1)}`).join("\n");
-    } else if (typeof obj === "object" && obj !== null) {
-        return Object.entries(obj)
-            .map(([key, value]) => `${spacing}${key}: ${toYAML(value, indent + 1)}`)
-            .join("\n");
-    } else {
-        return String(obj);
+  function sniffMimeType(base64Data) {
+    var header = decodeBase64(String(base64Data).substr(0, 24)).map(byte => String.fromCharCode(byte)).join("");
+    if (header.substr(0, 8) === "\x89PNG\r\n\x1a\n") return "image/png";
+    if (header.substr(0, 3) === "\xff\xd8\xff") return "image/jpeg";
+    if (header.substr(0, 4) === "GIF8") return "image/gif";
+    if (header.substr(0, 4) === "RIFF" && header.substr(8, 4) === "WEBP") return "image/webp";
+    if (header.substr(0, 5) === "%PDF-") return "application/pdf";
+    if (header.substr(4, 4) === "ftyp") {
+      var brand = header.substr(8, 4);
+      if (["heic", "heix", "hevc", "hevx"].indexOf(brand) !== -1) return "image/heic";
+      if (["mif1", "msf1", "heif"].indexOf(brand) !== -1) return "image/heif";
     }
+    return null;
   }
 
-  // Factory function to create a provider-specific object.
-  function createProvider(providerName, apiKey, baseUrl) {
-    var apiKey = apiKey || "";
-    var baseUrl = baseUrl || "";
+  // Approximate decoded size of base64 data, in bytes.
+  function base64Size(base64Data) {
+    var clean = String(base64Data).replace(/[^A-Za-z0-9+\/=_-]/g, "");
+    var padding = (clean.match(/=*$/) || [""])[0].length;
+    return Math.floor(clean.length * 3 / 4) - padding;
+  }
 
-    // These typically are provided on an individual request, but for conveninece we include ability to set at provider level.
-    var model = "";
-    var options = {};
-    var contexts = [];
+  function documentFileName(url) {
+    var name = url.split(/[?#]/)[0].split("/").pop() || "document";
+    return /\.pdf$/i.test(name) ? name : name + ".pdf";
+  }
 
-    var providerObj = {
-      model: model,
-      options: options,
-      apiKey: apiKey,
-      baseUrl: baseUrl,
-      contexts: contexts
+  // Splits a Salsify/Cloudinary delivery URL such as
+  // https://images.salsify.com/image/upload/s--sig--/t_thumb/v12/folder/id.pdf into its base
+  // (".../image/upload/"), transformation segments (["t_thumb"]) and path (["v12", "folder", "id.pdf"]).
+  // The URL signature is dropped, since it no longer matches once transformations change.
+  // Returns null for other URLs.
+  function parseCloudinaryUrl(url) {
+    var match = String(url).match(/^(https?:\/\/[^?#]+?\/image\/upload\/)([^?#]+)$/);
+    if (!match) {
+      return null;
     }
-
-    var providerSupportsJSON = (providerName === "OpenAI" || providerName === "AzureAIFoundry" || providerName === "GeminiViaOpenAI");
-
-    function setModel(modl) {
-      model = modl;
-      return providerObj;
+    var segments = match[2].split("/");
+    var transformations = [];
+    while (segments.length > 1 && (/^s--[^\/]+--$/.test(segments[0]) || /^[a-z]{1,3}_[^,\/]+(,[a-z]{1,3}_[^,\/]+)*$/.test(segments[0]))) {
+      var segment = segments.shift();
+      if (!/^s--/.test(segment)) {
+        transformations.push(segment);
+      }
     }
+    return { base: match[1], transformations: transformations, path: segments };
+  }
 
-    function setOptions(optns) {
-      options = optns;
-      return providerObj;
+  // Rewrites a Cloudinary URL into the PNG rendering of one page, e.g. .../image/upload/f_png,pg_2/v12/folder/id.
+  // Existing transformations are dropped, since they apply to the original.
+  function cloudinaryPageUrl(url, page) {
+    var cloudinary = parseCloudinaryUrl(url);
+    if (!cloudinary) {
+      return null;
     }
+    var path = cloudinary.path.slice();
+    path[path.length - 1] = path[path.length - 1].replace(/\.[a-z0-9]+$/i, "");
+    return `${cloudinary.base}f_png,pg_${page}/${path.join("/")}`;
+  }
 
-    function configureAPIKey(key) {
-      apiKey = key;
-      return providerObj;
-    }
+  // Chains a transformation after the URL's existing ones, e.g. to resize an image.
+  function cloudinaryTransformUrl(url, transformation) {
+    var cloudinary = parseCloudinaryUrl(url);
+    return cloudinary.base + cloudinary.transformations.concat([transformation], cloudinary.path).join("/");
+  }
 
-    function configureEndpoint(url) {
-      baseUrl = url;
-      return providerObj;
+  // Page image URLs for a document. params.pages is a page count or a list of page numbers;
+  // otherwise pages are probed in order, up to params.maxPages (default 10), until one cannot be
+  // downloaded. Probed pages are kept in downloads (by URL) so they are not fetched again.
+  function documentPageUrls(url, params, downloads) {
+    if (!cloudinaryPageUrl(url, 1)) {
+      throw new Error(`Cannot render pages of '${url}': only Salsify/Cloudinary asset URLs can be expanded into page images.`);
     }
-
-    function getContext(noun) {
-      if (noun) {
-        return contexts.filter(context => { return context.key === noun; })
-      } else {
-        return contexts;
-      }
+    if (Array.isArray(params.pages)) {
+      return params.pages.map(page => cloudinaryPageUrl(url, page));
     }
-
-    function addContext(noun, data) {
-      // var dataString = (typeof data === "object") ? JSON.stringify(data, null, 2) : String(data);
-      contexts.push({ key: noun, context: data });
-      return providerObj;
+    if (params.pages) {
+      return Array.from({ length: params.pages }, (_, index) => cloudinaryPageUrl(url, index + 1));
     }
-
-    function clearContext(noun) {
-      if (noun) {
-        contexts = contexts.reduce((acc, item) => {
-          if (item.key === noun) {
-            return acc;
-          }
-          acc.push(item);
-          return acc;
-        }, []);
-      } else {
-        contexts = [];
+    var maxPages = params.maxPages || 10;
+    var pageUrls = [cloudinaryPageUrl(url, 1)];
+    for (var page = 2; page <= maxPages; page++) {
+      var pageUrl = cloudinaryPageUrl(url, page);
+      try {
+        var data = download_file_base64(pageUrl);
+        if (!data) {
+          break;
+        }
+        if (downloads) {
+          downloads[pageUrl] = data;
+        }
+      } catch (e) {
+        break;
       }
-      return providerObj;
+      pageUrls.push(pageUrl);
     }
+    return pageUrls;
+  }
 
-    function extractContent(response) {
-      switch (providerName) {
-        case "OpenAI":
-        case "AzureAIFoundry":
-        case "GeminiViaOpenAI":
-          return response.choices && response.choices[0].message ? response.choices[0].message.content : "";
-        case "Anthropic":
-          return response.content && response.content[0] ? response.content[0][response.content[0].type] || "" : "";
-        case "Gemini":
-          var candidate = response.candidates && response.candidates[0];
-          return candidate && candidate.content && candidate.content.parts[0] ? candidate.content.parts[0].text : "";
-        case "Mistral":
-          return response.choices && response.choices[0].message ? response.choices[0].message.content : "";
-        default:
-          return "";
-      }
-    }
+  // Prices in USD per million tokens, keyed by model name or model prefix, e.g.
+  // { "gpt-4o": { input: 2.5, output: 10, cachedInput: 1.25 } }; cacheWriteInput prices prompt cache
+  // writes (Anthropic and Bedrock). Empty until configured.
+  var priceTable = {};
 
-    function serializeContext(messages) {
+  function setPriceTable(table) {
+    priceTable = table || {};
+  }
 
-      if (contexts.length < 1) {
+  // Exact model match first, then the longest configured prefix ("gpt-4o" prices "gpt-4o-2024-08-06").
+  function priceForModel(modelName) {
+    if (!modelName) return null;
+    if (priceTable.hasOwnProperty(modelName)) return priceTable[modelName];
+    var prefix = Object.keys(priceTable)
+      .filter(key => modelName.indexOf(key) === 0)
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? priceTable[prefix] : null;
+  }
+
+  // Returns the estimated cost in USD, or null when the model has no configured price.
+  function estimateCost(usage) {
+    var price = priceForModel(usage.model);
+    if (!price) return null;
+    var cachedPrice = price.cachedInput !== undefined ? price.cachedInput : price.input;
+    var cacheWritePrice = price.cacheWriteInput !== undefined ? price.cacheWriteInput : price.input;
+    var uncachedInput = usage.inputTokens - usage.cachedTokens - usage.cacheWriteTokens;
+    return (uncachedInput * (price.input || 0) + usage.cachedTokens * (cachedPrice || 0) + usage.cacheWriteTokens * (cacheWritePrice || 0) +
+      usage.outputTokens * (price.output || 0)) / 1000000;
+  }
+
+  // Sums two usage records (either may be null), e.g. across tool iterations or a correction re-prompt.
+  function mergeUsage(total, usage) {
+    if (!total) return usage;
+    if (!usage) return total;
+    return {
+      provider: usage.provider,
+      model: usage.model,
+      inputTokens: total.inputTokens + usage.inputTokens,
+      outputTokens: total.outputTokens + usage.outputTokens,
+      cachedTokens: total.cachedTokens + usage.cachedTokens,
+      cacheWriteTokens: total.cacheWriteTokens + usage.cacheWriteTokens,
+      latencyMs: total.latencyMs + usage.latencyMs,
+      cacheHit: !!(total.cacheHit && usage.cacheHit),
+      estimatedCost: (total.estimatedCost === null && usage.estimatedCost === null) ? null : (total.estimatedCost || 0) + (usage.estimatedCost || 0)
+    };
+  }
+
+  function isSystemMessage(item) {
+    if (Array.isArray(item)) {
+      return item[0] === "system";
+    }
+    return typeof item === "object" && item !== null && item.role === "system";
+  }
+
+  function systemMessageText(item) {
+    var content = Array.isArray(item) ? item[1] : item.content;
+    if (Array.isArray(content)) {
+      return content.map(part => (typeof part === "string" ? part : part.text || "")).join("\n");
+    }
+    return String(content);
+  }
+
+  // Rough token estimate (about four characters per token); the runtime has no tokenizer.
+  function estimateTokens(value) {
+    var text = typeof value === "string" ? value : JSON.stringify(value);
+    return Math.ceil(text.length / 4);
+  }
+
+  function isRenderedPrompt(prompt) {
+    return typeof prompt === "object" && prompt !== null && !Array.isArray(prompt) && prompt.type === "SalsifyAIPrompt";
+  }
+
+  // A registry of named, versioned prompt templates. Templates use {{variable}} placeholders and
+  // rendering throws on any missing variable rather than sending "undefined" to the model.
+  // Rendered prompts can be passed directly to generateText, analyzeImage and runWithTools.
+  function createPromptRegistry() {
+    var templates = {};
+    var registry;
+
+    function compareVersions(a, b) {
+      var left = String(a).split(".");
+      var right = String(b).split(".");
+      for (var i = 0; i < Math.max(left.length, right.length); i++) {
+        var diff = (parseInt(left[i], 10) || 0) - (parseInt(right[i], 10) || 0);
+        if (diff !== 0) {
+          return diff;
+        }
+      }
+      return 0;
+    }
+
+    // definition: { name, version, template, system, variables, responseFormat, description }
+    function register(definition) {
+      if (!definition || !definition.name) {
+        throw new Error("Prompt templates require a name.");
+      }
+      if (definition.version === undefined || definition.version === null) {
+        throw new Error(`Prompt '${definition.name}' requires a version.`);
+      }
+      if (typeof definition.template !== "string") {
+        throw new Error(`Prompt '${definition.name}' requires a template string.`);
+      }
+
+      var version = String(definition.version);
+      var versions = templates[definition.name] = templates[definition.name] || {};
+      if (versions.hasOwnProperty(version)) {
+        throw new Error(`Prompt '${definition.name}' version ${version} is already registered.`);
+      }
+
+      versions[version] = {
+        name: definition.name,
+        version: version,
+        description: definition.description || "",
+        template: definition.template,
+        system: definition.system || null,
+        variables: definition.variables || [],
+        responseFormat: definition.responseFormat || null
+      };
+      return registry;
+    }
+
+    // Returns the requested version of a template, or the highest registered version.
+    function get(name, version) {
+      var versions = templates[name];
+      if (!versions) {
+        throw new Error(`Unknown prompt '${name}'.`);
+      }
+      if (version !== undefined && version !== null) {
+        if (!versions.hasOwnProperty(String(version))) {
+          throw new Error(`Unknown version ${version} for prompt '${name}'.`);
+        }
+        return versions[String(version)];
+      }
+      var latest = Object.keys(versions).sort(compareVersions).pop();
+      return versions[latest];
+    }
+
+    function list() {
+      return Object.keys(templates).map(name => ({
+        name: name,
+        versions: Object.keys(templates[name]).sort(compareVersions)
+      }));
+    }
+
+    function render(name, variables, renderOptions) {
+      variables = variables || {};
+      renderOptions = renderOptions || {};
+      var definition = get(name, renderOptions.version);
+
+      function hasValue(key) {
+        return variables.hasOwnProperty(key) && variables[key] !== undefined && variables[key] !== null;
+      }
+
+      var missing = definition.variables.filter(key => !hasValue(key));
+
+      function fill(text) {
+        return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+          if (!hasValue(key)) {
+            if (missing.indexOf(key) === -1) {
+              missing.push(key);
+            }
+            return match;
+          }
+          var value = variables[key];
+          return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+        });
+      }
+
+      var text = fill(definition.template);
+      var system = definition.system ? fill(definition.system) : null;
+
+      if (missing.length > 0) {
+        throw new Error(`Missing variables for prompt '${definition.name}' version ${definition.version}: ${missing.join(", ")}.`);
+      }
+
+      var messages = system ? [["system", system], ["user", text]] : [["user", text]];
+      return {
+        type: "SalsifyAIPrompt",
+        name: definition.name,
+        version: definition.version,
+        system: system,
+        text: text,
+        responseFormat: definition.responseFormat,
+        messages: messages
+      };
+    }
+
+    registry = {
+      register: register,
+      get: get,
+      list: list,
+      render: render
+    };
+    return registry;
+  }
+
+  function toYAML(obj, indent = 0) {
+    const spacing = "  ".repeat(indent);
+    if (Array.isArray(obj)) {
+        return obj.map(item => `${spacing}- ${toYAML(item, indent + 1)}`).join("\n");
+    } else if (typeof obj === "object" && obj !== null) {
+        return Object.entries(obj)
+            .map(([key, value]) => `${spacing}${key}: ${toYAML(value, indent + 1)}`)
+            .join("\n");
+    } else {
+        return String(obj);
+    }
+  }
+
+  // Request signing for the cloud-hosted providers. The runtime has no crypto module, so SHA-256,
+  // HMAC and RSA (PKCS#1 v1.5) are implemented here over arrays of byte values.
+  var SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ];
+
+  function utf8Bytes(text) {
+    var bytes = [];
+    for (var i = 0; i < text.length; i++) {
+      var code = text.codePointAt(i);
+      if (code > 0xffff) {
+        i++;
+      }
+      if (code < 0x80) {
+        bytes.push(code);
+      } else if (code < 0x800) {
+        bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+      } else if (code < 0x10000) {
+        bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+      } else {
+        bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+      }
+    }
+    return bytes;
+  }
+
+  function toHex(bytes) {
+    return bytes.map(byte => (byte < 16 ? "0" : "") + byte.toString(16)).join("");
+  }
+
+  function sha256(bytes) {
+    var hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    var bitLength = bytes.length * 8;
+    var padded = bytes.concat([0x80]);
+    while (padded.length % 64 !== 56) {
+      padded.push(0);
+    }
+    var high = Math.floor(bitLength / 0x100000000);
+    padded.push((high >>> 24) & 0xff, (high >>> 16) & 0xff, (high >>> 8) & 0xff, high & 0xff);
+    padded.push((bitLength >>> 24) & 0xff, (bitLength >>> 16) & 0xff, (bitLength >>> 8) & 0xff, bitLength & 0xff);
+
+    function rotr(value, bits) {
+      return (value >>> bits) | (value << (32 - bits));
+    }
+
+    var w = new Array(64);
+    for (var offset = 0; offset < padded.length; offset += 64) {
+      for (var t = 0; t < 64; t++) {
+        if (t < 16) {
+          w[t] = (padded[offset + t * 4] << 24) | (padded[offset + t * 4 + 1] << 16) | (padded[offset + t * 4 + 2] << 8) | padded[offset + t * 4 + 3];
+        } else {
+          var s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+          var s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+          w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+        }
+      }
+      var a = hash[0], b = hash[1], c = hash[2], d = hash[3], e = hash[4], f = hash[5], g = hash[6], h = hash[7];
+      for (var r = 0; r < 64; r++) {
+        var temp1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[r] + w[r]) | 0;
+        var temp2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        h = g;
+        g = f;
+        f = e;
+        e = (d + temp1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (temp1 + temp2) | 0;
+      }
+      hash = [hash[0] + a, hash[1] + b, hash[2] + c, hash[3] + d, hash[4] + e, hash[5] + f, hash[6] + g, hash[7] + h].map(value => value | 0);
+    }
+
+    var digest = [];
+    hash.forEach(value => digest.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff));
+    return digest;
+  }
+
+  function hmacSha256(key, message) {
+    if (key.length > 64) {
+      key = sha256(key);
+    }
+    var innerPad = [];
+    var outerPad = [];
+    for (var i = 0; i < 64; i++) {
+      var byte = key[i] || 0;
+      innerPad.push(byte ^ 0x36);
+      outerPad.push(byte ^ 0x5c);
+    }
+    return sha256(outerPad.concat(sha256(innerPad.concat(message))));
+  }
+
+  var BASE64_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+  // urlSafe produces the unpadded base64url form used in JWTs.
+  function encodeBase64(bytes, urlSafe) {
+    var output = "";
+    for (var i = 0; i < bytes.length; i += 3) {
+      var chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+      output += BASE64_ALPHABET[(chunk >> 18) & 63] + BASE64_ALPHABET[(chunk >> 12) & 63];
+      output += i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : "=";
+      output += i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : "=";
+    }
+    if (urlSafe) {
+      return output.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    }
+    return output;
+  }
+
+  function decodeBase64(text) {
+    var clean = text.replace(/-/g, "+").replace(/_/g, "/").replace(/[^A-Za-z0-9+\/]/g, "");
+    var bytes = [];
+    var buffer = 0;
+    var bits = 0;
+    for (var i = 0; i < clean.length; i++) {
+      buffer = (buffer << 6) | BASE64_ALPHABET.indexOf(clean[i]);
+      bits += 6;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes.push((buffer >> bits) & 0xff);
+      }
+    }
+    return bytes;
+  }
+
+  function bytesToBigInt(bytes) {
+    return bytes.length === 0 ? BigInt(0) : BigInt("0x" + toHex(bytes));
+  }
+
+  function bigIntToBytes(value, length) {
+    var hex = value.toString(16);
+    hex = "0".repeat(Math.max(0, length * 2 - hex.length)) + hex;
+    var bytes = [];
+    for (var i = 0; i < hex.length; i += 2) {
+      bytes.push(parseInt(hex.substr(i, 2), 16));
+    }
+    return bytes;
+  }
+
+  function modPow(base, exponent, modulus) {
+    var result = BigInt(1);
+    base = base % modulus;
+    while (exponent > BigInt(0)) {
+      if (exponent & BigInt(1)) {
+        result = (result * base) % modulus;
+      }
+      exponent = exponent >> BigInt(1);
+      base = (base * base) % modulus;
+    }
+    return result;
+  }
+
+  // Returns the [{ tag, start, end }] DER elements between start and end.
+  function readDerElements(bytes, start, end) {
+    var elements = [];
+    var offset = start;
+    while (offset < end) {
+      var tag = bytes[offset];
+      var length = bytes[offset + 1];
+      offset += 2;
+      if (length & 0x80) {
+        var lengthBytes = length & 0x7f;
+        length = 0;
+        for (var i = 0; i < lengthBytes; i++) {
+          length = length * 256 + bytes[offset + i];
+        }
+        offset += lengthBytes;
+      }
+      elements.push({ tag: tag, start: offset, end: offset + length });
+      offset += length;
+    }
+    return elements;
+  }
+
+  // Reads an RSA private key from a PKCS#8 ("PRIVATE KEY") or PKCS#1 ("RSA PRIVATE KEY") PEM.
+  function parseRSAPrivateKey(pem) {
+    var der = decodeBase64(pem.replace(/-----[^-]+-----/g, ""));
+    var outer = readDerElements(der, 0, der.length)[0];
+    var fields = readDerElements(der, outer.start, outer.end);
+    if (pem.indexOf("BEGIN RSA PRIVATE KEY") === -1) {
+      var wrapped = fields[2];
+      outer = readDerElements(der, wrapped.start, wrapped.end)[0];
+      fields = readDerElements(der, outer.start, outer.end);
+    }
+    var values = fields.map(field => bytesToBigInt(der.slice(field.start, field.end)));
+    return {
+      modulus: values[1],
+      length: Math.ceil(values[1].toString(16).length / 2),
+      p: values[4],
+      q: values[5],
+      dp: values[6],
+      dq: values[7],
+      qInverse: values[8]
+    };
+  }
+
+  var SHA256_DIGEST_INFO = [0x30, 0x31, 0x30, 0x0d, 0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x02, 0x01, 0x05, 0x00, 0x04, 0x20];
+
+  // RSASSA-PKCS1-v1_5 with SHA-256 (JWT "RS256"), using the CRT form of the private key.
+  function rsaSignSha256(pem, messageBytes) {
+    var key = parseRSAPrivateKey(pem);
+    var digestInfo = SHA256_DIGEST_INFO.concat(sha256(messageBytes));
+    var encoded = [0x00, 0x01];
+    while (encoded.length < key.length - digestInfo.length - 1) {
+      encoded.push(0xff);
+    }
+    encoded = encoded.concat([0x00], digestInfo);
+
+    var message = bytesToBigInt(encoded);
+    var m1 = modPow(message, key.dp, key.p);
+    var m2 = modPow(message, key.dq, key.q);
+    var h = (key.qInverse * ((m1 - m2) % key.p + key.p)) % key.p;
+    return bigIntToBytes(m2 + h * key.q, key.length);
+  }
+
+  // RFC 3986 encoding as AWS expects it.
+  function awsUriEncode(text) {
+    return encodeURIComponent(text).replace(/[!'()*]/g, char => "%" + char.charCodeAt(0).toString(16).toUpperCase());
+  }
+
+  // Adds AWS Signature Version 4 headers to a request object. The payload is hashed as
+  // JSON.stringify(payload), which is the body web_request sends.
+  function signAWSRequest(requestObject, credentials, region, service) {
+    var urlParts = String(requestObject.url).match(/^https?:\/\/([^\/?#]+)([^?#]*)(?:\?([^#]*))?/);
+    if (!urlParts) {
+      throw new Error("Cannot sign request for URL " + requestObject.url);
+    }
+    var host = urlParts[1];
+    var canonicalPath = (urlParts[2] || "/").split("/").map(awsUriEncode).join("/");
+    var canonicalQuery = (urlParts[3] || "").split("&").filter(Boolean).map(pair => {
+      var parts = pair.split("=");
+      return awsUriEncode(decodeURIComponent(parts[0])) + "=" + awsUriEncode(decodeURIComponent(parts.slice(1).join("=")));
+    }).sort().join("&");
+
+    var amzDate = new Date(Date.now()).toISOString().replace(/[:-]|\.\d{3}/g, "");
+    var dateStamp = amzDate.substr(0, 8);
+    requestObject.headers["X-Amz-Date"] = amzDate;
+    if (credentials.sessionToken) {
+      requestObject.headers["X-Amz-Security-Token"] = credentials.sessionToken;
+    }
+
+    var headers = { host: host };
+    Object.keys(requestObject.headers).forEach(name => {
+      if (name.toLowerCase() !== "authorization") {
+        headers[name.toLowerCase()] = String(requestObject.headers[name]).trim();
+      }
+    });
+    var signedHeaders = Object.keys(headers).sort();
+    var body = String(requestObject.method).toUpperCase() === "GET" ? "" : JSON.stringify(requestObject.payload);
+
+    var canonicalRequest = [
+      String(requestObject.method).toUpperCase(),
+      canonicalPath,
+      canonicalQuery,
+      signedHeaders.map(name => name + ":" + headers[name] + "\n").join(""),
+      signedHeaders.join(";"),
+      toHex(sha256(utf8Bytes(body)))
+    ].join("\n");
+
+    var scope = [dateStamp, region, service, "aws4_request"].join("/");
+    var stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, toHex(sha256(utf8Bytes(canonicalRequest)))].join("\n");
+    var signingKey = [dateStamp, region, service, "aws4_request"].reduce(
+      (key, part) => hmacSha256(key, utf8Bytes(part)),
+      utf8Bytes("AWS4" + credentials.secretAccessKey)
+    );
+
+    requestObject.headers.Authorization = "AWS4-HMAC-SHA256 Credential=" + credentials.accessKeyId + "/" + scope +
+      ", SignedHeaders=" + signedHeaders.join(";") + ", Signature=" + toHex(hmacSha256(signingKey, utf8Bytes(stringToSign)));
+    return requestObject;
+  }
+
+  // Builds the signed JWT a Google service account exchanges for an access token.
+  function googleServiceAccountAssertion(serviceAccount, scope) {
+    var issuedAt = Math.floor(Date.now() / 1000);
+    var header = { alg: "RS256", typ: "JWT" };
+    var claims = {
+      iss: serviceAccount.client_email,
+      scope: scope,
+      aud: serviceAccount.token_uri || "https://oauth2.googleapis.com/token",
+      iat: issuedAt,
+      exp: issuedAt + 3600
+    };
+    var signingInput = encodeBase64(utf8Bytes(JSON.stringify(header)), true) + "." + encodeBase64(utf8Bytes(JSON.stringify(claims)), true);
+    return signingInput + "." + encodeBase64(rsaSignSha256(serviceAccount.private_key, utf8Bytes(signingInput)), true);
+  }
+
+  // A provider adapter supplies the hooks createProvider uses to speak one API. Required:
+  //   buildMessage(role, content, ctx)             -> [message] in the API's message shape
+  //   buildRequest(request, messages, params, ctx) -> fills url, headers and payload of basePayload(params)
+  //   extractContent(response, params, ctx)        -> the answer text (or structured output object)
+  // Optional:
+  //   defaultBaseUrl, defaultImageModel, requiresApiKey (default true), supportsSystemRole (default true),
+  //   supportsJSON (native structured output; boolean or function(ctx)),
+  //   nativeResponseFormat(respFormat, ctx)         -> whether this format is sent natively; when present it replaces
+  //     the strict format validation, and formats it declines fall back to the prompt directive
+  //   applySystemPrompt(request, system, ctx)       default: leading system message
+  //   extractUsage(response, ctx)                   -> { inputTokens, outputTokens, cachedTokens, cacheWriteTokens }
+  //   finishReason(response, ctx)                   -> the provider's finish/stop reason, for TRUNCATED and CONTENT_FILTER
+  //   requestCandidates(request, count, ctx), extractCandidates(response, params, ctx) -> [{ content, finishReason }]
+  //                                                 several answers from one request, for generateCandidates
+  //   textAttachment(text, ctx), imageAttachment(url, params, ctx)   for analyzeImage; imageAttachment should get
+  //     the image from ctx.loadImage(url, params), which applies the transport, MIME detection and size limits below
+  //   imageTransport ("url" or "inline", default "url"), inlineImagesOnly, imageLimits { maxImages, maxImageBytes, maxRequestBytes }
+  //   documentAttachment(url, params, ctx)          native PDF input for analyzeDocument; without it pages are sent as images
+  //   authorize(request, ctx)                       credentials that depend on the final request
+  //   toolDefinitions(tools, ctx), attachTools(request, definitions, params, ctx), extractToolCalls(response, ctx),
+  //   assistantToolMessage(response, ctx), toolResultMessages(results, ctx)   for runWithTools
+  //   listModelsRequest(request, ctx), parseModels(response, ctx)          for listModels
+  //   imageGenerationRequest(request, prompt, params, ctx)                for generateImage
+  //   embedRequest(request, texts, params, ctx), parseEmbeddings(response, ctx) -> [vector]   for embed
+  //   batch: { submit(items, params, ctx), status(id, ctx), results(batch, ctx) }   for the batch methods;
+  //     submit and status return { id, status, done, requestCounts, raw } and results returns
+  //     [{ customId, body, error }], where items are [{ customId, request }] built by buildRequest
+  // ctx is { providerName, apiKey, baseUrl, model, config, state, requireModel(name), performRequest(request, callRecord),
+  // send(request), loadImage(url, params) }, where send throws when the request fails,
+  // config is the providerConfig passed to createProvider and state persists for the provider's lifetime.
+  var providerAdapters = {};
+
+  function registerProvider(name, adapter) {
+    if (typeof name !== "string" || name === "") {
+      throw new Error("A provider name is required.");
+    }
+    if (typeof adapter !== "object" || adapter === null) {
+      throw new Error(`The adapter for ${name} must be an object.`);
+    }
+    ["buildMessage", "buildRequest", "extractContent"].forEach(hook => {
+      if (typeof adapter[hook] !== "function") {
+        throw new Error(`The adapter for ${name} is missing ${hook}().`);
+      }
+    });
+    providerAdapters[name] = adapter;
+    return function(apiKey, baseUrl, providerConfig) {
+      return createProvider(name, apiKey, baseUrl, providerConfig);
+    };
+  }
+
+  function serializeToolResult(result) {
+    return typeof result === "string" ? result : JSON.stringify(result);
+  }
+
+  function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+
+  function jsonSchemaResponseFormat(responseFormat) {
+    return { json_schema: responseFormat, type: 'json_schema' };
+  }
+
+  // OpenAI-style embeddings responses list { index, embedding } entries.
+  function parseIndexedEmbeddings(response) {
+    return (response.data || []).slice().sort((a, b) => a.index - b.index).map(entry => entry.embedding);
+  }
+
+  // Batch results arrive as JSON Lines; web_request may hand back the text or, for a single line, the parsed object.
+  function parseJSONLines(body) {
+    if (Array.isArray(body)) {
+      return body;
+    }
+    if (typeof body === "object" && body !== null) {
+      return [body];
+    }
+    return String(body || "").split("\n").filter(line => line.trim() !== "").map(line => JSON.parse(line));
+  }
+
+  function batchRequest(method, url, headers, payload) {
+    return { url: url, method: method, headers: { 'Content-Type': 'application/json', ...headers }, payload: payload || {}, debugPrompt: false, debugResponse: false };
+  }
+
+  var OPENAI_BATCH_STATUSES = { completed: "completed", failed: "failed", expired: "expired", cancelled: "cancelled", cancelling: "in_progress" };
+
+  function parseOpenAIBatch(response) {
+    var counts = response.request_counts || {};
+    var status = OPENAI_BATCH_STATUSES[response.status] || "in_progress";
+    return {
+      id: response.id,
+      status: status,
+      done: status !== "in_progress",
+      requestCounts: { total: counts.total || 0, succeeded: counts.completed || 0, failed: counts.failed || 0 },
+      raw: response
+    };
+  }
+
+  // OpenAI Batch API: the requests are uploaded as a JSONL file, then a batch is created from it.
+  // The multipart body is built here and handed to web_request as a string.
+  var openAIBatch = {
+    submit: function(items, params, ctx) {
+      var jsonl = items.map(item => JSON.stringify({ custom_id: item.customId, method: "POST", url: "/v1/chat/completions", body: item.request.payload })).join("\n");
+      var boundary = "SalsifyAIBatch" + hashString(jsonl);
+      var multipart = [
+        `--${boundary}`, 'Content-Disposition: form-data; name="purpose"', "", "batch",
+        `--${boundary}`, 'Content-Disposition: form-data; name="file"; filename="batch.jsonl"', "Content-Type: application/jsonl", "", jsonl,
+        `--${boundary}--`, ""
+      ].join("\r\n");
+      var auth = { Authorization: "Bearer " + ctx.apiKey };
+      var file = ctx.send({ ...batchRequest("POST", finalApiUrl(ctx.baseUrl, "/v1/files"), auth, multipart), headers: { ...auth, 'Content-Type': "multipart/form-data; boundary=" + boundary } });
+      var payload = {
+        input_file_id: file.id,
+        endpoint: "/v1/chat/completions",
+        completion_window: params.completionWindow || "24h"
+      };
+      if (params.metadata) {
+        payload.metadata = params.metadata;
+      }
+      var batch = ctx.send(batchRequest("POST", finalApiUrl(ctx.baseUrl, "/v1/batches"), auth, payload));
+      return parseOpenAIBatch(batch);
+    },
+    status: function(id, ctx) {
+      return parseOpenAIBatch(ctx.send(batchRequest("GET", finalApiUrl(ctx.baseUrl, "/v1/batches/" + id), { Authorization: "Bearer " + ctx.apiKey })));
+    },
+    results: function(batch, ctx) {
+      var auth = { Authorization: "Bearer " + ctx.apiKey };
+      var lines = [];
+      [batch.raw.output_file_id, batch.raw.error_file_id].filter(Boolean).forEach(fileId => {
+        lines = lines.concat(parseJSONLines(ctx.send(batchRequest("GET", finalApiUrl(ctx.baseUrl, `/v1/files/${fileId}/content`), auth))));
+      });
+      return lines.map(line => {
+        var response = line.response || {};
+        var failed = line.error || (response.status_code && response.status_code >= 400);
+        return {
+          customId: line.custom_id,
+          body: failed ? null : response.body,
+          error: failed ? (line.error ? line.error.message || JSON.stringify(line.error) : JSON.stringify(response.body)) : null
+        };
+      });
+    }
+  };
+
+  // The image URL, or a data URL when the image is inlined.
+  function imageSourceUrl(image) {
+    return image.data ? `data:${image.mimeType};base64,${image.data}` : image.url;
+  }
+
+  // Chat completions return params.n choices from one request.
+  var openAICandidateHooks = {
+    requestCandidates: function(request, count) {
+      request.payload.n = count;
+      return request;
+    },
+    extractCandidates: function(response) {
+      return (response.choices || []).map(choice => ({
+        content: choice.message ? choice.message.content : "",
+        finishReason: choice.message && choice.message.refusal ? "refusal" : choice.finish_reason || null
+      }));
+    }
+  };
+
+  // Shared by every chat completions style API; the adapters below override what differs.
+  var openAIChatAdapter = {
+    supportsSystemRole: true,
+    supportsJSON: true,
+    buildMessage: function(role, content) {
+      return [{ role: role, content: content }];
+    },
+    buildRequest: function() {
+      throw new Error("buildRequest must be provided by the adapter.");
+    },
+    extractContent: function(response) {
+      return response.choices && response.choices[0].message ? response.choices[0].message.content : "";
+    },
+    finishReason: function(response) {
+      var choice = response.choices && response.choices[0];
+      if (choice && choice.message && choice.message.refusal) {
+        return "refusal";
+      }
+      return choice ? choice.finish_reason : null;
+    },
+    extractUsage: function(response) {
+      var usage = response.usage || {};
+      return {
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0,
+        cachedTokens: (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) || 0
+      };
+    },
+    textAttachment: function(text) {
+      return { "type": "text", "text": text };
+    },
+    imageAttachment: function(imageUrl, params, ctx) {
+      return { "type": "image_url", "image_url": { "url": imageSourceUrl(ctx.loadImage(imageUrl, params)) } };
+    },
+    // 20 MB per image and 50 MB per request for OpenAI; other servers document their own limits.
+    imageLimits: { maxImages: 500, maxImageBytes: 20 * 1024 * 1024, maxRequestBytes: 50 * 1024 * 1024 },
+    toolDefinitions: function(tools) {
+      return tools.map(tool => ({ type: "function", "function": { name: tool.name, description: tool.description, parameters: tool.schema } }));
+    },
+    extractToolCalls: function(response) {
+      var message = response.choices && response.choices[0] && response.choices[0].message;
+      return ((message && message.tool_calls) || []).map(call => {
+        var args = call["function"].arguments;
+        if (typeof args === "string") {
+          try {
+            args = JSON.parse(args);
+          } catch (e) {
+            args = {};
+          }
+        }
+        return { id: call.id, name: call["function"].name, arguments: args || {} };
+      });
+    },
+    assistantToolMessage: function(response) {
+      return [response.choices[0].message];
+    },
+    toolResultMessages: function(results) {
+      return results.map(item => ({ role: "tool", tool_call_id: item.call.id, content: serializeToolResult(item.result) }));
+    }
+  };
+
+  registerProvider("OpenAI", {
+    ...openAIChatAdapter,
+    ...openAICandidateHooks,
+    defaultBaseUrl: "https://api.openai.com",
+    defaultImageModel: "gpt-4o",
+    buildRequest: function(request, messages, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, "/v1/chat/completions");
+      request.headers.Authorization = "Bearer " + ctx.apiKey;
+      request.payload = {
+        model: params.model || ctx.model || "gpt-4o",
+        messages: messages,
+        max_completion_tokens: params.max_tokens || 1200
+      };
+      if (params.responseFormat) {
+        request.payload.response_format = jsonSchemaResponseFormat(params.responseFormat);
+      }
+      return request;
+    },
+    documentAttachment: function(documentUrl) {
+      return { "type": "file", "file": { "filename": documentFileName(documentUrl), "file_data": "data:application/pdf;base64," + download_file_base64(documentUrl) } };
+    },
+    imageGenerationRequest: function(request, prompt, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, "/v1/images/generations");
+      request.headers.Authorization = "Bearer " + ctx.apiKey;
+      request.payload = {
+        model: params.model || "dall-e-3",
+        prompt: prompt,
+        n: params.n || 1,
+        size: params.size || "1024x1024",
+        quality: params.quality || "standard"
+      };
+      return request;
+    },
+    embedRequest: function(request, texts, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, "/v1/embeddings");
+      request.headers.Authorization = "Bearer " + ctx.apiKey;
+      request.payload = {
+        model: params.model || "text-embedding-3-small",
+        input: texts
+      };
+      if (params.dimensions) {
+        request.payload.dimensions = params.dimensions;
+      }
+      return request;
+    },
+    parseEmbeddings: parseIndexedEmbeddings,
+    batch: openAIBatch
+  });
+
+  registerProvider("AzureAIFoundry", {
+    ...openAIChatAdapter,
+    ...openAICandidateHooks,
+    defaultImageModel: "gpt-4o",
+    buildRequest: function(request, messages, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, "/chat/completions?api-version=2024-10-21");
+      request.headers["api-key"] = ctx.apiKey;
+      request.payload = {
+        temperature: params.temperature || 1,
+        top_p: params.top_p || 1,
+        stop: params.stop || null,
+        max_tokens: params.max_tokens || null,
+        max_completion_tokens: params.max_completion_tokens || 1200,
+        presence_penalty: params.presence_penalty || 0,
+        frequency_penalty: params.frequency_penalty || 0,
+        logit_bias: params.logit_bias || null,
+        user: params.user || null,
+        messages: messages,
+        logprobs: params.logprobs || null,
+        n: params.n || 1,
+        tools: params.tools || null,
+        seed: params.seed || null
+      };
+      if (params.responseFormat) {
+        request.payload.response_format = jsonSchemaResponseFormat(params.responseFormat);
+      }
+      return request;
+    },
+    // The embedding model is the deployment in the base URL.
+    embedRequest: function(request, texts, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, "/embeddings?api-version=2024-10-21");
+      request.headers["api-key"] = ctx.apiKey;
+      request.payload = { input: texts };
+      if (params.dimensions) {
+        request.payload.dimensions = params.dimensions;
+      }
+      return request;
+    },
+    parseEmbeddings: parseIndexedEmbeddings
+  });
+
+  registerProvider("Mistral", {
+    ...openAIChatAdapter,
+    supportsJSON: false,
+    defaultBaseUrl: "https://api.mistral.ai",
+    defaultImageModel: "pixtral-12b-2409",
+    buildRequest: function(request, messages, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, "/v1/chat/completions");
+      request.headers.Authorization = "Bearer " + ctx.apiKey;
+      request.headers.Accept = "application/json";
+      request.payload = {
+        model: params.model || "mistral-large-latest",
+        messages: messages
+      };
+      if (params.responseFormat) {
+        request.payload.response_format = { type: "json_object" };
+      }
+      return request;
+    },
+    imageAttachment: function(imageUrl, params, ctx) {
+      return { "type": "image_url", "image_url": imageSourceUrl(ctx.loadImage(imageUrl, params)) };
+    },
+    imageLimits: { maxImages: 8, maxImageBytes: 10 * 1024 * 1024 },
+    toolResultMessages: function(results) {
+      return results.map(item => ({ role: "tool", name: item.call.name, tool_call_id: item.call.id, content: serializeToolResult(item.result) }));
+    },
+    embedRequest: function(request, texts, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, "/v1/embeddings");
+      request.headers.Authorization = "Bearer " + ctx.apiKey;
+      request.payload = {
+        model: params.model || "mistral-embed",
+        input: texts
+      };
+      return request;
+    },
+    parseEmbeddings: parseIndexedEmbeddings
+  });
+
+  registerProvider("GeminiViaOpenAI", {
+    ...openAIChatAdapter,
+    defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta/openai/chat/completions",
+    defaultImageModel: "gemini-2.0-flash",
+    buildRequest: function(request, messages, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, "");
+      request.headers.Authorization = "Bearer " + ctx.apiKey;
+      request.payload = {
+        model: params.model || "gemini-2.0-flash",
+        messages: messages,
+        max_tokens: params.max_tokens || 1000
+      };
+      if (params.responseFormat) {
+        request.payload.response_format = jsonSchemaResponseFormat(params.responseFormat);
+      }
+      return request;
+    },
+    imageTransport: "inline",
+    imageLimits: { maxImages: 3000, maxRequestBytes: 20 * 1024 * 1024 }
+  });
+
+  // Any server exposing the OpenAI chat completions API; config: { pathOverrides, supportsJsonSchema }.
+  registerProvider("OpenAICompatible", {
+    ...openAIChatAdapter,
+    requiresApiKey: false,
+    supportsJSON: function(ctx) {
+      return ctx.config.supportsJsonSchema === true;
+    },
+    buildRequest: function(request, messages, params, ctx) {
+      var pathOverrides = ctx.config.pathOverrides || {};
+      request.url = finalApiUrl(ctx.baseUrl, pathOverrides.chat || "/v1/chat/completions");
+      if (ctx.apiKey) {
+        request.headers.Authorization = "Bearer " + ctx.apiKey;
+      }
+      request.payload = {
+        model: ctx.requireModel(params.model || ctx.model),
+        messages: messages,
+        max_tokens: params.max_tokens || 1200
+      };
+      if (params.responseFormat) {
+        request.payload.response_format = ctx.config.supportsJsonSchema === true
+          ? jsonSchemaResponseFormat(params.responseFormat)
+          : { type: "json_object" };
+      }
+      return request;
+    },
+    // Local servers generally cannot fetch remote URLs, so images are inlined.
+    imageTransport: "inline",
+    imageLimits: {},
+    listModelsRequest: function(request, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, (ctx.config.pathOverrides || {}).models || "/v1/models");
+      if (ctx.apiKey) {
+        request.headers.Authorization = "Bearer " + ctx.apiKey;
+      }
+      return request;
+    },
+    parseModels: function(response) {
+      return (response.data || []).map(entry => entry.id);
+    }
+  });
+
+  registerProvider("Ollama", {
+    requiresApiKey: false,
+    supportsSystemRole: true,
+    supportsJSON: true,
+    defaultBaseUrl: "http://localhost:11434",
+    // Ollama messages hold plain text content plus a separate list of base64 images.
+    buildMessage: function(role, content) {
+      if (!Array.isArray(content)) {
+        return [{ role: role, content: content }];
+      }
+      var message = {
+        role: role,
+        content: content.filter(part => part.type === "text").map(part => part.text).join("\n")
+      };
+      var images = content.filter(part => part.type === "image").map(part => part.data);
+      if (images.length > 0) {
+        message.images = images;
+      }
+      return [message];
+    },
+    buildRequest: function(request, messages, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, (ctx.config.pathOverrides || {}).chat || "/api/chat");
+      request.payload = {
+        model: ctx.requireModel(params.model || ctx.model),
+        messages: messages,
+        stream: false
+      };
+      if (params.max_tokens) {
+        request.payload.options = { num_predict: params.max_tokens };
+      }
+      if (params.responseFormat) {
+        request.payload.format = params.responseFormat.schema;
+      }
+      return request;
+    },
+    extractContent: function(response) {
+      return response.message ? response.message.content : "";
+    },
+    finishReason: function(response) {
+      return response.done_reason || null;
+    },
+    extractUsage: function(response) {
+      return { inputTokens: response.prompt_eval_count || 0, outputTokens: response.eval_count || 0, cachedTokens: 0 };
+    },
+    textAttachment: openAIChatAdapter.textAttachment,
+    imageAttachment: function(imageUrl, params, ctx) {
+      return { "type": "image", "data": ctx.loadImage(imageUrl, params).data };
+    },
+    inlineImagesOnly: true,
+    toolDefinitions: openAIChatAdapter.toolDefinitions,
+    // Ollama tool calls carry no id and already-parsed arguments.
+    extractToolCalls: function(response) {
+      return ((response.message && response.message.tool_calls) || [])
+        .map(call => ({ id: call["function"].name, name: call["function"].name, arguments: call["function"].arguments || {} }));
+    },
+    assistantToolMessage: function(response) {
+      return [response.message];
+    },
+    toolResultMessages: function(results) {
+      return results.map(item => ({ role: "tool", content: serializeToolResult(item.result) }));
+    },
+    listModelsRequest: function(request, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, (ctx.config.pathOverrides || {}).models || "/api/tags");
+      return request;
+    },
+    parseModels: function(response) {
+      return (response.models || []).map(entry => entry.name);
+    }
+  });
+
+  // Anthropic takes PDFs as document blocks; images and documents are passed by URL unless
+  // params.inlineImages asks for base64 via download_file_base64.
+  function buildAnthropicAttachment(imageUrl, params, ctx) {
+    var image = ctx.loadImage(imageUrl, params);
+    var blockType = image.mimeType === "application/pdf" ? "document" : "image";
+    if (image.data) {
+      return { "type": blockType, "source": { "type": "base64", "media_type": image.mimeType, "data": image.data } };
+    }
+    return { "type": blockType, "source": { "type": "url", "url": image.url } };
+  }
+
+  function anthropicHeaders(ctx) {
+    return { "x-api-key": ctx.apiKey, "anthropic-version": "2023-06-01" };
+  }
+
+  function parseAnthropicBatch(response) {
+    var counts = response.request_counts || {};
+    var done = response.processing_status === "ended";
+    return {
+      id: response.id,
+      status: done ? "completed" : "in_progress",
+      done: done,
+      requestCounts: {
+        total: (counts.processing || 0) + (counts.succeeded || 0) + (counts.errored || 0) + (counts.canceled || 0) + (counts.expired || 0),
+        succeeded: counts.succeeded || 0,
+        failed: (counts.errored || 0) + (counts.canceled || 0) + (counts.expired || 0)
+      },
+      raw: response
+    };
+  }
+
+  // Anthropic Message Batches.
+  var anthropicBatch = {
+    submit: function(items, params, ctx) {
+      var invalid = items.filter(item => !/^[a-zA-Z0-9_-]{1,64}$/.test(item.customId))[0];
+      if (invalid) {
+        throw new Error(`Anthropic batch custom ids must be 1-64 letters, digits, '_' or '-'. Got '${invalid.customId}'.`);
+      }
+      return parseAnthropicBatch(ctx.send(batchRequest("POST", finalApiUrl(ctx.baseUrl, "/v1/messages/batches"), anthropicHeaders(ctx), {
+        requests: items.map(item => ({ custom_id: item.customId, params: item.request.payload }))
+      })));
+    },
+    status: function(id, ctx) {
+      return parseAnthropicBatch(ctx.send(batchRequest("GET", finalApiUrl(ctx.baseUrl, "/v1/messages/batches/" + id), anthropicHeaders(ctx))));
+    },
+    results: function(batch, ctx) {
+      var url = batch.raw.results_url || finalApiUrl(ctx.baseUrl, `/v1/messages/batches/${batch.id}/results`);
+      return parseJSONLines(ctx.send(batchRequest("GET", url, anthropicHeaders(ctx)))).map(line => {
+        var result = line.result || {};
+        return {
+          customId: line.custom_id,
+          body: result.type === "succeeded" ? result.message : null,
+          error: result.type === "succeeded" ? null : (result.error ? JSON.stringify(result.error) : result.type)
+        };
+      });
+    }
+  };
+
+  // A forced tool call only needs a tool name and an object input schema; strict mode is an OpenAI notion.
+  function isToolResponseFormat(respFormat) {
+    return !!respFormat && typeof respFormat.name === "string" && respFormat.name !== "" &&
+      !!respFormat.schema && typeof respFormat.schema === "object" && respFormat.schema.type === "object";
+  }
+
+  // Anthropic has no JSON mode; structured output is a forced call to a tool whose input schema is the response schema.
+  // Formats without a name and object schema keep the prompt directive.
+  registerProvider("Anthropic", {
+    supportsSystemRole: false,
+    supportsJSON: true,
+    nativeResponseFormat: isToolResponseFormat,
+    defaultBaseUrl: "https://api.anthropic.com",
+    defaultImageModel: "claude-3-5-sonnet-20241022",
+    buildMessage: openAIChatAdapter.buildMessage,
+    buildRequest: function(request, messages, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, "/v1/messages");
+      request.headers["x-api-key"] = ctx.apiKey;
+      request.headers["anthropic-version"] = "2023-06-01";
+      request.payload = {
+        model: params.model || ctx.model || "claude-3-5-sonnet-20241022",
+        max_tokens: params.max_tokens || 1024,
+        messages: messages
+      };
+      if (isToolResponseFormat(params.responseFormat)) {
+        request.payload.tools = [{
+          name: params.responseFormat.name,
+          description: params.responseFormat.description || "Record the response using this schema.",
+          input_schema: params.responseFormat.schema
+        }];
+        request.payload.tool_choice = { type: "tool", name: params.responseFormat.name };
+      }
+      return request;
+    },
+    applySystemPrompt: function(request, system) {
+      request.payload.system = system;
+      return request;
+    },
+    extractContent: function(response, params) {
+      // Structured output arrives as the input of the forced response tool.
+      if (params && isToolResponseFormat(params.responseFormat) && Array.isArray(response.content)) {
+        var toolUse = response.content.filter(block => block.type === "tool_use" && block.name === params.responseFormat.name)[0];
+        if (toolUse) {
+          return toolUse.input;
+        }
+      }
+      return response.content && response.content[0] ? response.content[0][response.content[0].type] || "" : "";
+    },
+    finishReason: function(response) {
+      return response.stop_reason || null;
+    },
+    extractUsage: function(response) {
+      var usage = response.usage || {};
+      var cachedTokens = usage.cache_read_input_tokens || 0;
+      var cacheWriteTokens = usage.cache_creation_input_tokens || 0;
+      return {
+        inputTokens: (usage.input_tokens || 0) + cachedTokens + cacheWriteTokens,
+        outputTokens: usage.output_tokens || 0,
+        cachedTokens: cachedTokens,
+        cacheWriteTokens: cacheWriteTokens
+      };
+    },
+    textAttachment: openAIChatAdapter.textAttachment,
+    imageAttachment: buildAnthropicAttachment,
+    imageLimits: { maxImages: 100, maxImageBytes: 5 * 1024 * 1024, maxRequestBytes: 32 * 1024 * 1024 },
+    documentAttachment: function(documentUrl, params) {
+      if (params.imageTransport === "inline" || params.inlineImages) {
+        return { "type": "document", "source": { "type": "base64", "media_type": "application/pdf", "data": download_file_base64(documentUrl) } };
+      }
+      return { "type": "document", "source": { "type": "url", "url": documentUrl } };
+    },
+    toolDefinitions: function(tools) {
+      return tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.schema }));
+    },
+    // Keep the structured output tool available, but let the model choose among all tools.
+    attachTools: function(request, definitions) {
+      if (request.payload.tool_choice) {
+        definitions = definitions.concat(request.payload.tools);
+        request.payload.tool_choice = { type: "any" };
+      }
+      request.payload.tools = definitions;
+      return request;
+    },
+    extractToolCalls: function(response) {
+      return (response.content || [])
+        .filter(block => block.type === "tool_use")
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
+    },
+    assistantToolMessage: function(response) {
+      return [{ role: "assistant", content: response.content }];
+    },
+    toolResultMessages: function(results) {
+      return [{
+        role: "user",
+        content: results.map(item => ({ type: "tool_result", tool_use_id: item.call.id, content: serializeToolResult(item.result) }))
+      }];
+    },
+    batch: anthropicBatch
+  });
+
+  function geminiPayload(messages, params) {
+    var payload = {
+      contents: messages
+    };
+    if (params.max_tokens) {
+      payload.generationConfig = payload.generationConfig || {};
+      payload.generationConfig.maxOutputTokens = params.max_tokens;
+    }
+    if (params.responseFormat) {
+      payload.generationConfig = payload.generationConfig || {};
+      payload.generationConfig.responseMimeType = "application/json";
+      payload.generationConfig.responseSchema = convertResponseFormatForGemini(params.responseFormat);
+    }
+    return payload;
+  }
+
+  function parseGeminiBatch(response) {
+    var metadata = response.metadata || {};
+    var state = String(metadata.state || response.state || "");
+    var status = /SUCCEEDED$/.test(state) ? "completed" : /FAILED$/.test(state) ? "failed" : /CANCELLED$/.test(state) ? "cancelled" : /EXPIRED$/.test(state) ? "expired" : "in_progress";
+    var stats = metadata.batchStats || {};
+    return {
+      id: response.name,
+      status: status,
+      done: status !== "in_progress",
+      requestCounts: {
+        total: Number(stats.requestCount || 0),
+        succeeded: Number(stats.successfulRequestCount || 0),
+        failed: Number(stats.failedRequestCount || 0)
+      },
+      raw: response
+    };
+  }
+
+  // Gemini batch mode with inline requests; every item must use the same model. Results come back
+  // inline with the finished batch.
+  var geminiBatch = {
+    submit: function(items, params, ctx) {
+      var models = items.map(item => String(item.request.url).match(/\/models\/([^:\/?]+):/)[1]);
+      if (models.some(modelName => modelName !== models[0])) {
+        throw new Error("Gemini batches require every request to use the same model.");
+      }
+      var url = finalApiUrl(ctx.baseUrl, `/v1beta/models/${models[0]}:batchGenerateContent`) + "?key=" + ctx.apiKey;
+      return parseGeminiBatch(ctx.send(batchRequest("POST", url, {}, {
+        batch: {
+          display_name: params.displayName || "salsify-ai-batch",
+          input_config: {
+            requests: { requests: items.map(item => ({ request: item.request.payload, metadata: { key: item.customId } })) }
+          }
+        }
+      })));
+    },
+    status: function(id, ctx) {
+      return parseGeminiBatch(ctx.send(batchRequest("GET", finalApiUrl(ctx.baseUrl, "/v1beta/" + id) + "?key=" + ctx.apiKey)));
+    },
+    results: function(batch) {
+      var output = (batch.raw.response || {}).inlinedResponses || ((batch.raw.metadata || {}).output || {}).inlinedResponses || {};
+      return (output.inlinedResponses || []).map(entry => ({
+        customId: entry.metadata ? entry.metadata.key : null,
+        body: entry.error ? null : entry.response,
+        error: entry.error ? JSON.stringify(entry.error) : null
+      }));
+    }
+  };
+
+  var geminiAdapter = {
+    supportsSystemRole: false,
+    supportsJSON: false,
+    defaultBaseUrl: "https://generativelanguage.googleapis.com",
+    defaultImageModel: "gemini-2.0-flash",
+    // Gemini only knows "user" and "model" turns.
+    buildMessage: function(role, content) {
+      var geminiRole = role === "assistant" ? "model" : "user";
+      if (typeof content === "string") {
+        return [{ parts: [{ text: content }], role: geminiRole }];
+      } else {
+        return [{ parts: content, role: geminiRole }];
+      }
+    },
+    buildRequest: function(request, messages, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, `/v1beta/models/${params.model || ctx.model || 'gemini-2.0-flash'}:generateContent`) + "?key=" + ctx.apiKey;
+      request.payload = geminiPayload(messages, params);
+      return request;
+    },
+    applySystemPrompt: function(request, system) {
+      request.payload.systemInstruction = { parts: [{ text: system }] };
+      return request;
+    },
+    extractContent: function(response) {
+      var candidate = response.candidates && response.candidates[0];
+      return candidate && candidate.content && candidate.content.parts[0] ? candidate.content.parts[0].text : "";
+    },
+    requestCandidates: function(request, count) {
+      request.payload.generationConfig = { ...(request.payload.generationConfig || {}), candidateCount: count };
+      return request;
+    },
+    extractCandidates: function(response) {
+      return (response.candidates || []).map(candidate => ({
+        content: candidate.content && candidate.content.parts && candidate.content.parts[0] ? candidate.content.parts[0].text : "",
+        finishReason: candidate.finishReason || null
+      }));
+    },
+    // A blocked prompt comes back without candidates.
+    finishReason: function(response) {
+      var candidate = response.candidates && response.candidates[0];
+      if (!candidate && response.promptFeedback && response.promptFeedback.blockReason) {
+        return response.promptFeedback.blockReason === "OTHER" ? "blocklist" : response.promptFeedback.blockReason;
+      }
+      return candidate ? candidate.finishReason : null;
+    },
+    extractUsage: function(response) {
+      var metadata = response.usageMetadata || {};
+      return {
+        inputTokens: metadata.promptTokenCount || 0,
+        outputTokens: metadata.candidatesTokenCount || 0,
+        cachedTokens: metadata.cachedContentTokenCount || 0
+      };
+    },
+    textAttachment: function(text) {
+      return { "text": text };
+    },
+    imageAttachment: function(imageUrl, params, ctx) {
+      var image = ctx.loadImage(imageUrl, params);
+      return { "inline_data": { "mime_type": image.mimeType, "data": image.data } };
+    },
+    inlineImagesOnly: true,
+    imageLimits: { maxImages: 3000, maxRequestBytes: 20 * 1024 * 1024 },
+    documentAttachment: function(documentUrl) {
+      return { "inline_data": { "mime_type": "application/pdf", "data": download_file_base64(documentUrl) } };
+    },
+    toolDefinitions: function(tools) {
+      return [{
+        functionDeclarations: tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: convertResponseFormatForGemini({ schema: tool.schema })
+        }))
+      }];
+    },
+    // Gemini rejects function calling together with a JSON response MIME type, so JSON mode is dropped
+    // while tools are attached; the response directive in the prompt still asks for the schema.
+    attachTools: function(request, definitions) {
+      var generationConfig = request.payload.generationConfig;
+      if (generationConfig) {
+        delete generationConfig.responseMimeType;
+        delete generationConfig.responseSchema;
+        if (Object.keys(generationConfig).length === 0) {
+          delete request.payload.generationConfig;
+        }
+      }
+      request.payload.tools = definitions;
+      return request;
+    },
+    extractToolCalls: function(response) {
+      var candidate = response.candidates && response.candidates[0];
+      var parts = (candidate && candidate.content && candidate.content.parts) || [];
+      return parts
+        .filter(part => part.functionCall)
+        .map(part => ({ id: part.functionCall.name, name: part.functionCall.name, arguments: part.functionCall.args || {} }));
+    },
+    assistantToolMessage: function(response) {
+      return [response.candidates[0].content];
+    },
+    toolResultMessages: function(results) {
+      return [{
+        role: "user",
+        parts: results.map(item => ({
+          functionResponse: {
+            name: item.call.name,
+            response: isPlainObject(item.result) ? item.result : { result: item.result }
+          }
+        }))
+      }];
+    },
+    embedRequest: function(request, texts, params, ctx) {
+      var modelName = params.model || "text-embedding-004";
+      request.url = finalApiUrl(ctx.baseUrl, `/v1beta/models/${modelName}:batchEmbedContents`) + "?key=" + ctx.apiKey;
+      request.payload = {
+        requests: texts.map(text => {
+          var entry = { model: "models/" + modelName, content: { parts: [{ text: text }] } };
+          if (params.taskType) {
+            entry.taskType = params.taskType;
+          }
+          if (params.dimensions) {
+            entry.outputDimensionality = params.dimensions;
+          }
+          return entry;
+        })
+      };
+      return request;
+    },
+    parseEmbeddings: function(response) {
+      return (response.embeddings || []).map(entry => entry.values);
+    },
+    batch: geminiBatch
+  };
+
+  registerProvider("Gemini", geminiAdapter);
+
+  // Gemini models served from a Google Cloud project; config: { serviceAccount, project, location }.
+  registerProvider("Vertex", {
+    ...geminiAdapter,
+    requiresApiKey: false,
+    defaultBaseUrl: undefined,
+    embedRequest: undefined,
+    parseEmbeddings: undefined,
+    batch: undefined,
+    buildRequest: function(request, messages, params, ctx) {
+      var modelName = params.model || ctx.model || 'gemini-2.0-flash';
+      request.url = finalApiUrl(ctx.baseUrl, `/v1/projects/${ctx.config.project}/locations/${ctx.config.location}/publishers/google/models/${modelName}:generateContent`);
+      request.payload = geminiPayload(messages, params);
+      return request;
+    },
+    // Exchanges a service-account JWT for an access token, reused until a minute before it expires.
+    // Debug prompts are never sent, so no token is requested for them.
+    authorize: function(request, ctx) {
+      if (request.debugPrompt) {
+        return request;
+      }
+      var token = ctx.state.accessToken;
+      if (!token || token.expiresAt - 60000 <= Date.now()) {
+        var serviceAccount = ctx.config.serviceAccount;
+        if (!serviceAccount || !serviceAccount.client_email || !serviceAccount.private_key) {
+          throw new Error("No service account set for Vertex.");
+        }
+        var tokenRequest = {
+          url: serviceAccount.token_uri || "https://oauth2.googleapis.com/token",
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          payload: {
+            grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+            assertion: googleServiceAccountAssertion(serviceAccount, "https://www.googleapis.com/auth/cloud-platform")
+          },
+          debugPrompt: false,
+          debugResponse: false
+        };
+        var tokenRecord = {};
+        var response = ctx.performRequest(tokenRequest, tokenRecord);
+        if (tokenRecord.status !== "success" || !response.access_token) {
+          throw new Error("Vertex access token exchange failed: " + (tokenRecord.message || JSON.stringify(response)));
+        }
+        token = { value: response.access_token, expiresAt: Date.now() + (response.expires_in || 3600) * 1000 };
+        ctx.state.accessToken = token;
+      }
+      request.headers.Authorization = "Bearer " + token.value;
+      return request;
+    }
+  });
+
+  // Converse only accepts inline bytes; PDFs become document blocks, which need a name.
+  function buildBedrockDocument(documentUrl, params, ctx, data) {
+    var fileName = documentFileName(documentUrl).replace(/\.pdf$/i, "").replace(/[^A-Za-z0-9 ()\[\]-]/g, "-");
+    return { "document": { "format": "pdf", "name": fileName, "source": { "bytes": data || download_file_base64(documentUrl) } } };
+  }
+
+  function buildBedrockAttachment(imageUrl, params, ctx) {
+    var image = ctx.loadImage(imageUrl, params);
+    if (image.mimeType === "application/pdf") {
+      return buildBedrockDocument(imageUrl, params, ctx, image.data);
+    }
+    return { "image": { "format": image.mimeType.substr(6), "source": { "bytes": image.data } } };
+  }
+
+  // Converse rejects consecutive turns with the same role, so their content blocks are joined.
+  function mergeConsecutiveTurns(messages) {
+    return messages.reduce((merged, message) => {
+      var previous = merged[merged.length - 1];
+      if (previous && previous.role === message.role) {
+        merged[merged.length - 1] = { role: previous.role, content: previous.content.concat(message.content) };
+      } else {
+        merged.push(message);
+      }
+      return merged;
+    }, []);
+  }
+
+  function bedrockContentBlocks(response) {
+    return (response.output && response.output.message && response.output.message.content) || [];
+  }
+
+  // AWS Bedrock Converse API; config: { credentials, region }. Structured output is a forced tool
+  // call, as with Anthropic.
+  registerProvider("Bedrock", {
+    requiresApiKey: false,
+    supportsSystemRole: false,
+    supportsJSON: true,
+    defaultImageModel: "anthropic.claude-3-5-sonnet-20241022-v2:0",
+    // Converse content is always a list of blocks.
+    buildMessage: function(role, content) {
+      return [{ role: role, content: typeof content === "string" ? [{ text: content }] : content }];
+    },
+    buildRequest: function(request, messages, params, ctx) {
+      request.url = finalApiUrl(ctx.baseUrl, `/model/${encodeURIComponent(params.model || ctx.model || "anthropic.claude-3-5-sonnet-20241022-v2:0")}/converse`);
+      request.payload = {
+        messages: mergeConsecutiveTurns(messages),
+        inferenceConfig: { maxTokens: params.max_tokens || 1024 }
+      };
+      if (params.responseFormat) {
+        request.payload.toolConfig = {
+          tools: [{
+            toolSpec: {
+              name: params.responseFormat.name,
+              description: params.responseFormat.description || "Record the response using this schema.",
+              inputSchema: { json: params.responseFormat.schema }
+            }
+          }],
+          toolChoice: { tool: { name: params.responseFormat.name } }
+        };
+      }
+      return request;
+    },
+    applySystemPrompt: function(request, system) {
+      request.payload.system = [{ text: system }];
+      return request;
+    },
+    // Signed when sent, so the signature covers any tools attached after buildRequest.
+    authorize: function(request, ctx) {
+      var credentials = ctx.config.credentials || {};
+      if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+        throw new Error("No AWS credentials set for Bedrock.");
+      }
+      return signAWSRequest(request, credentials, ctx.config.region, "bedrock");
+    },
+    extractContent: function(response, params) {
+      var blocks = bedrockContentBlocks(response);
+      if (params && params.responseFormat) {
+        var responseTool = blocks.filter(block => block.toolUse && block.toolUse.name === params.responseFormat.name)[0];
+        if (responseTool) {
+          return responseTool.toolUse.input;
+        }
+      }
+      var textBlock = blocks.filter(block => typeof block.text === "string")[0];
+      return textBlock ? textBlock.text : "";
+    },
+    finishReason: function(response) {
+      return response.stopReason || null;
+    },
+    extractUsage: function(response) {
+      var usage = response.usage || {};
+      var cachedTokens = usage.cacheReadInputTokens || 0;
+      var cacheWriteTokens = usage.cacheWriteInputTokens || 0;
+      return {
+        inputTokens: (usage.inputTokens || 0) + cachedTokens + cacheWriteTokens,
+        outputTokens: usage.outputTokens || 0,
+        cachedTokens: cachedTokens,
+        cacheWriteTokens: cacheWriteTokens
+      };
+    },
+    textAttachment: geminiAdapter.textAttachment,
+    imageAttachment: buildBedrockAttachment,
+    inlineImagesOnly: true,
+    imageLimits: { maxImages: 20, maxImageBytes: 3.75 * 1024 * 1024 },
+    documentAttachment: buildBedrockDocument,
+    toolDefinitions: function(tools) {
+      return tools.map(tool => ({ toolSpec: { name: tool.name, description: tool.description, inputSchema: { json: tool.schema } } }));
+    },
+    attachTools: function(request, definitions) {
+      var responseTools = request.payload.toolConfig ? request.payload.toolConfig.tools : [];
+      request.payload.toolConfig = { tools: definitions.concat(responseTools) };
+      if (responseTools.length > 0) {
+        request.payload.toolConfig.toolChoice = { any: {} };
+      }
+      return request;
+    },
+    extractToolCalls: function(response) {
+      return bedrockContentBlocks(response)
+        .filter(block => block.toolUse)
+        .map(block => ({ id: block.toolUse.toolUseId, name: block.toolUse.name, arguments: block.toolUse.input || {} }));
+    },
+    assistantToolMessage: function(response) {
+      return [response.output.message];
+    },
+    toolResultMessages: function(results) {
+      return [{
+        role: "user",
+        content: results.map(item => ({
+          toolResult: {
+            toolUseId: item.call.id,
+            content: [isPlainObject(item.result) ? { json: item.result } : { text: serializeToolResult(item.result) }]
+          }
+        }))
+      }];
+    }
+  });
+
+  // Factory function to create a provider-specific object from a registered adapter.
+  // providerConfig carries per-provider settings that do not fit an API key: self-hosted endpoints
+  // ({ requiresApiKey, pathOverrides, supportsJsonSchema }), Bedrock ({ credentials, region }) and
+  // Vertex AI ({ serviceAccount, project, location }).
+  function createProvider(providerName, apiKey, baseUrl, providerConfig) {
+    var adapter = providerAdapters[providerName];
+    if (!adapter) {
+      throw new Error("Unsupported provider: " + providerName);
+    }
+    var apiKey = apiKey || "";
+    var baseUrl = baseUrl || adapter.defaultBaseUrl || "";
+    var providerConfig = providerConfig || {};
+    // Adapter-owned state that lives as long as the provider, e.g. cached access tokens.
+    var adapterState = {};
+
+    // These typically are provided on an individual request, but for conveninece we include ability to set at provider level.
+    var model = "";
+    var options = {};
+    var contexts = [];
+    var retryPolicy = null;
+    var errorMode = null;
+    var systemPrompt = null;
+    var tools = [];
+    var usageMeter = emptyUsageMeter();
+    var responseCache = null;
+    // Describes the most recent generateText/analyzeImage call: provider, model, attempts, status, message,
+    // finishReason and, when something went wrong, the SalsifyAIError.
+    var lastCall = null;
+
+    var providerObj = {
+      providerName: providerName,
+      model: model,
+      options: options,
+      apiKey: apiKey,
+      baseUrl: baseUrl,
+      contexts: contexts
+    }
+
+    // The view of this provider handed to adapter hooks.
+    function adapterContext() {
+      return {
+        providerName: providerName,
+        apiKey: apiKey,
+        baseUrl: baseUrl,
+        model: model,
+        config: providerConfig,
+        state: adapterState,
+        requireModel: requireModel,
+        performRequest: function(requestObject, callRecord) {
+          return performRequest(requestObject, resolveRetryPolicy(retryPolicy), callRecord);
+        },
+        send: function(requestObject) {
+          var record = {};
+          var response = performRequest(requestObject, resolveRetryPolicy(retryPolicy), record);
+          if (record.status === "failure") {
+            throw new Error(`${providerName} request to ${redactor.redactText(requestObject.url)} failed: ${record.message}`);
+          }
+          return response;
+        },
+        loadImage: loadImage
+      };
+    }
+
+    var providerSupportsSystemRole = adapter.supportsSystemRole !== false;
+    var providerSupportsJSON = typeof adapter.supportsJSON === "function" ? adapter.supportsJSON(adapterContext()) === true : adapter.supportsJSON === true;
+
+    function setModel(modl) {
+      model = modl;
+      return providerObj;
+    }
+
+    function setOptions(optns) {
+      options = optns;
+      return providerObj;
+    }
+
+    // Default system prompt for every call; params.system overrides it for a single call.
+    function setSystemPrompt(prompt) {
+      systemPrompt = prompt || null;
+      return providerObj;
+    }
+
+    function setRetryPolicy(policy) {
+      retryPolicy = policy;
+      return providerObj;
+    }
+
+    // "throw" or "return" reports failures as SalsifyAIErrors; null keeps the per-case shapes.
+    function setErrorMode(mode) {
+      errorMode = resolveErrorMode({ errorMode: mode });
+      return providerObj;
+    }
+
+    function resolveErrorMode(params) {
+      var mode = params.errorMode || errorMode || config.errorMode || null;
+      if (mode !== null && mode !== "throw" && mode !== "return") {
+        throw new Error(`Unknown error mode '${mode}'; use "throw" or "return".`);
+      }
+      return mode;
+    }
+
+    // Records the error on the call and reports it according to the error mode. Without one,
+    // legacyValue (the shape this case has always had) is returned instead.
+    function reportError(error, params, legacyValue) {
+      if (lastCall) {
+        lastCall.error = error;
+      }
+      var mode = resolveErrorMode(params);
+      if (mode === "throw") {
+        throw error;
+      }
+      return mode === "return" ? error : legacyValue;
+    }
+
+    function callError(code, message, callRecord, fields) {
+      return createSalsifyAIError(code, message, {
+        provider: providerName,
+        model: callRecord ? callRecord.model : model || null,
+        finishReason: callRecord ? callRecord.finishReason || null : null,
+        ...fields
+      });
+    }
+
+    // ensureAPIKey for the calls that honour the error mode: reports AUTH instead of throwing.
+    function checkAPIKey(params) {
+      try {
+        ensureAPIKey();
+        return null;
+      } catch (e) {
+        if (!resolveErrorMode(params)) {
+          throw e;
+        }
+        return { error: reportError(callError("AUTH", e.message, null), params) };
+      }
+    }
+
+    function responseFormatError(errors, params) {
+      return reportError(callError("INVALID_SCHEMA", "Invalid response format: " + errors.join(" "), null, { details: { errors: errors } }), params, errors);
+    }
+
+    // AUTH, RATE_LIMIT or PROVIDER_ERROR for a failed request, otherwise null.
+    function requestError(callRecord) {
+      if (callRecord.status !== "failure") {
+        return null;
+      }
+      var failure = callRecord.failure || { status: null, message: callRecord.message || "Request failed.", type: null };
+      return callError(failureCode(failure), `${providerName} request failed: ${failure.message}`, callRecord, {
+        status: failure.status,
+        retryable: isRetryable(failure, DEFAULT_RETRY_POLICY),
+        details: { type: failure.type }
+      });
+    }
+
+    // The error for a completed request: a failed request, or a truncated or filtered answer.
+    // Returns null when the request succeeded and the answer is complete.
+    function completionError(callRecord, rawContent) {
+      return requestError(callRecord) || finishReasonError(callRecord, callRecord.providerFinishReason, rawContent);
+    }
+
+    // TRUNCATED or CONTENT_FILTER for an answer that stopped for that reason, otherwise null.
+    function finishReasonError(callRecord, providerFinishReason, rawContent) {
+      var finishReason = normalizeFinishReason(providerFinishReason);
+      if (finishReason === "length") {
+        return callError("TRUNCATED", `${providerName} stopped at the output token limit; the response is incomplete.`, callRecord, { finishReason: finishReason, details: { content: rawContent } });
+      }
+      if (finishReason === "content_filter") {
+        return callError("CONTENT_FILTER", `${providerName} withheld the response (${providerFinishReason}).`, callRecord, { finishReason: finishReason, details: { content: rawContent } });
+      }
+      return null;
+    }
+
+    // Returns the content, or reports the first problem with the call: a failed request, a
+    // truncated or filtered answer, or structured content that does not match the schema
+    // (PARSE_ERROR). Without an error mode, problems other than schema mismatches are only
+    // recorded on the call and the content is returned as before.
+    function finishCompletion(prompt, params, callRecord, rawContent, content) {
+      var error = completionError(callRecord, rawContent);
+      if (error) {
+        callRecord.error = error;
+        if (resolveErrorMode(params)) {
+          return reportError(error, params);
+        }
+      }
+
+      var validationError = checkStructuredResponse(content, params, callRecord);
+      if (validationError && params.correctInvalidResponse) {
+        return correctStructuredResponse(prompt, params, rawContent, validationError);
+      }
+      if (validationError) {
+        return reportError(callError("PARSE_ERROR", validationError.message, callRecord, {
+          details: { violations: validationError.violations, content: validationError.content }
+        }), params, validationError);
+      }
+      return content;
+    }
+
+    function getLastCall() {
+      return lastCall;
+    }
+
+    function emptyUsageTotals() {
+      return { calls: 0, failedCalls: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0, cacheWriteTokens: 0, latencyMs: 0, estimatedCost: 0 };
+    }
+
+    function emptyUsageMeter() {
+      return { ...emptyUsageTotals(), models: {} };
+    }
+
+    // Cumulative usage of every request made by this provider since creation or the last resetUsage(),
+    // in total and per model.
+    function getUsage() {
+      return JSON.parse(JSON.stringify(usageMeter));
+    }
+
+    function resetUsage() {
+      usageMeter = emptyUsageMeter();
+      return providerObj;
+    }
+
+    // Failed requests are counted as failedCalls rather than calls, so calls matches the tokens.
+    function addUsage(totals, usage, failed) {
+      if (failed) {
+        totals.failedCalls += 1;
+        totals.latencyMs += usage.latencyMs;
+        return;
+      }
+      totals.calls += 1;
+      totals.cacheHits += usage.cacheHit ? 1 : 0;
+      totals.inputTokens += usage.inputTokens;
+      totals.outputTokens += usage.outputTokens;
+      totals.cachedTokens += usage.cachedTokens;
+      totals.cacheWriteTokens += usage.cacheWriteTokens;
+      totals.latencyMs += usage.latencyMs;
+      totals.estimatedCost += usage.estimatedCost || 0;
+    }
+
+    function meterUsage(usage, failed) {
+      usageMeter.models[usage.model] = usageMeter.models[usage.model] || emptyUsageTotals();
+      addUsage(usageMeter, usage, failed);
+      addUsage(usageMeter.models[usage.model], usage, failed);
+    }
+
+    // Registers a tool for runWithTools. The schema is a JSON Schema object describing the
+    // arguments; the handler is called synchronously with the parsed arguments and its return
+    // value is sent back to the model.
+    function defineTool(name, description, schema, handler) {
+      if (typeof handler !== "function") {
+        throw new Error(`Tool '${name}' requires a handler function.`);
+      }
+      tools = tools.filter(tool => tool.name !== name);
+      tools.push({ name: name, description: description, schema: schema || { type: "object", properties: {} }, handler: handler });
+      return providerObj;
+    }
+
+    // Enables response caching for generateText/analyzeImage. cacheOptions: { storage, ttlSeconds };
+    // storage defaults to an in-memory cache. Pass null to disable caching again.
+    function setCache(cacheOptions) {
+      if (!cacheOptions) {
+        responseCache = null;
+      } else {
+        responseCache = { storage: cacheOptions.storage || createMemoryCache(), ttlSeconds: cacheOptions.ttlSeconds || null };
+      }
+      return providerObj;
+    }
+
+    // Hashes the final request without its credentials, so every parameter that changes the answer
+    // (model, messages, system prompt, format, tools, token limits, sampling) is part of the key.
+    function responseCacheKey(requestObject) {
+      var url = String(requestObject.url);
+      if (apiKey) {
+        url = url.split(apiKey).join("REDACTED");
+      }
+      return hashString(stableStringify({
+        provider: providerName,
+        url: url,
+        payload: requestObject.payload
+      }));
+    }
+
+    function readCachedResponse(key) {
+      var entry = responseCache.storage.get(key);
+      if (!entry || typeof entry !== "object") {
+        return null;
+      }
+      if (responseCache.ttlSeconds && Date.now() - entry.storedAt > responseCache.ttlSeconds * 1000) {
+        return null;
+      }
+      return entry;
+    }
+
+    // Self-hosted and cloud-credential providers run without a key.
+    function ensureAPIKey() {
+      if (!apiKey && adapter.requiresApiKey !== false && providerConfig.requiresApiKey !== false) {
+        throw new Error("No API key set for " + providerName + ".");
+      }
+    }
+
+    function configureAPIKey(key) {
+      apiKey = key;
+      return providerObj;
+    }
+
+    function configureEndpoint(url) {
+      baseUrl = url;
+      return providerObj;
+    }
+
+    function getContext(noun) {
+      if (noun) {
+        return contexts.filter(context => { return context.key === noun; })
+      } else {
         return contexts;
       }
+    }
+
+    function addContext(noun, data) {
+      // var dataString = (typeof data === "object") ? JSON.stringify(data, null, 2) : String(data);
+      contexts.push({ key: noun, context: data });
+      return providerObj;
+    }
+
+    function clearContext(noun) {
+      if (noun) {
+        contexts = contexts.reduce((acc, item) => {
+          if (item.key === noun) {
+            return acc;
+          }
+          acc.push(item);
+          return acc;
+        }, []);
+      } else {
+        contexts = [];
+      }
+      return providerObj;
+    }
+
+    function extractContent(response, params) {
+      return adapter.extractContent(response, params, adapterContext());
+    }
+
+    // Normalizes the provider's usage block into { provider, model, inputTokens, outputTokens, cachedTokens, cacheWriteTokens,
+    // latencyMs, estimatedCost }. inputTokens always includes cache reads and writes.
+    function extractUsage(response, requestModel, latencyMs) {
+      var raw = (typeof response === "object" && response !== null) ? response : {};
+      var counts = adapter.extractUsage ? adapter.extractUsage(raw, adapterContext()) : {};
+
+      var record = {
+        provider: providerName,
+        model: raw.model || raw.modelVersion || requestModel,
+        inputTokens: counts.inputTokens || 0,
+        outputTokens: counts.outputTokens || 0,
+        cachedTokens: counts.cachedTokens || 0,
+        cacheWriteTokens: counts.cacheWriteTokens || 0,
+        latencyMs: latencyMs
+      };
+      record.estimatedCost = estimateCost(record);
+      return record;
+    }
 
-      var contextObject = contexts.reduce((acc, { key, context }) => {
+    function contextObjectFor(callContexts) {
+      return callContexts.reduce((acc, { key, context }) => {
         if (!acc[key]) {
           acc[key] = [];
         }
         acc[key].push(context);
         return acc;
       }, {});
+    }
+
+    function serializeContext(messages, callContexts) {
 
-      switch (providerName) {
-        case "Gemini":
-          return messages.unshift({ role: "user", parts: [{ text: JSON.stringify(contextObject) }] });
-        default:
-          return messages.unshift({ role: "user", content: JSON.stringify(contextObject) });
+      if (callContexts.length < 1) {
+        return callContexts;
       }
+
+      messages.unshift(buildProviderMessage("user", JSON.stringify(contextObjectFor(callContexts)))[0]);
+      return messages;
     }
 
-    // Updated buildProviderMessage now includes providerName as first argument.
     function buildProviderMessage(role, content) {
-      switch (providerName) {
-        case "Mistral":
-        case "Anthropic":
-        case "GeminiViaOpenAI":
-        case "AzureAIFoundry":
-        case "OpenAI":
-          return [{ role: role, content: content }];
-        case "Gemini":
-          if (typeof content === "string") {
-            return [{ parts: [{ text: content }], role: "user" }];
-          } else {
-            return [{ parts: content, role: "user" }];
-          }
-        default:
-          throw new Error("Unsupported provider: " + providerName);
-      }
+      return adapter.buildMessage(role, content, adapterContext());
     }
 
     function buildMessages(prompt) {
@@ -326,7 +2772,8 @@ function createSalsifyAI() {
           if (Array.isArray(item) && item.length === 2) {
             // the [0] at the end of this line in unwrapping the single element array.
             return buildProviderMessage(item[0], item[1])[0];
-          } else if (typeof item === "object" && item.hasOwnProperty("role") && item.hasOwnProperty("content")) {
+          } else if (typeof item === "object" && item.hasOwnProperty("role") && (item.hasOwnProperty("content") || item.hasOwnProperty("parts"))) {
+            // Provider-shaped messages (Gemini uses parts rather than content) pass through untouched.
             return item;
           } else {
             throw new Error(`Invalid message format: each message must be a [role, content] tuple or an object with role and content. Got ${item}`);
@@ -337,249 +2784,774 @@ function createSalsifyAI() {
       }
     }
 
-    // Build a request object based on provider specifics.
-    function buildRequest(apiKey, baseUrl, messages, params) {
-      var request = basePayload(params);
+    // Build a request object based on provider specifics.
+    function buildRequest(apiKey, baseUrl, messages, params) {
+      var request = adapter.buildRequest(basePayload(params), messages, params, adapterContext());
+      if (candidateCount(params) > 1) {
+        adapter.requestCandidates(request, candidateCount(params), adapterContext());
+      }
+      return applySystemPrompt(request, params.system);
+    }
+
+    // params.candidateCount asks for several answers in one request where the adapter supports it.
+    function candidateCount(params) {
+      return params.candidateCount > 1 && adapter.requestCandidates && adapter.extractCandidates ? params.candidateCount : 1;
+    }
+
+    // Adds credentials that depend on the final request, such as Bedrock's request signature.
+    function authorizeRequest(requestObject) {
+      return adapter.authorize ? adapter.authorize(requestObject, adapterContext()) : requestObject;
+    }
+
+    // Self-hosted servers have no sensible default model.
+    function requireModel(modelName) {
+      if (!modelName) {
+        throw new Error(`No model set for ${providerName}. Use setModel() or params.model.`);
+      }
+      return modelName;
+    }
+
+    // Lists the models served by a self-hosted endpoint (/v1/models, or /api/tags for Ollama).
+    function listModels(params) {
+      if (!adapter.listModelsRequest) {
+        throw new Error(`Model listing is not currently supported for ${providerName}.`);
+      }
+      params = params || {};
+      params = { ...options, ...params };
+      var request = basePayload(params);
+      request.method = "GET";
+      request = adapter.listModelsRequest(request, adapterContext());
+
+      var response = performRequest(request, resolveRetryPolicy(retryPolicy, params.retry));
+      if (request.debugPrompt || request.debugResponse) {
+        return scrubHeaders(response);
+      }
+      return adapter.parseModels(response, adapterContext());
+    }
+
+    // Places a system prompt where the API expects it (a leading system message unless the adapter says otherwise).
+    function applySystemPrompt(request, system) {
+      if (!system) {
+        return request;
+      }
+      if (adapter.applySystemPrompt) {
+        return adapter.applySystemPrompt(request, system, adapterContext());
+      }
+      request.payload.messages = [{ role: "system", content: system }].concat(request.payload.messages);
+      return request;
+    }
 
-      switch (providerName) {
-        case "OpenAI":
-          request.url = finalApiUrl(baseUrl, "/v1/chat/completions");
-          request.headers.Authorization = "Bearer " + apiKey;
-          request.payload = {
-            model: params.model || model || "gpt-4o",
-            messages: messages,
-            max_completion_tokens: params.max_tokens || 1200
-          };
-          if (params.responseFormat) {
-            request.payload.response_format = {
-              json_schema: params.responseFormat,
-              type: 'json_schema'
-            };
-          }
-          break;
+    function buildTextAttachment(prompt) {
+      return adapter.textAttachment(prompt, adapterContext());
+    }
 
-        case "AzureAIFoundry":
-          request.url = finalApiUrl(baseUrl, "/chat/completions?api-version=2024-10-21");
-          request.headers["api-key"] = apiKey;
-          request.payload = {
-            temperature: params.temperature || 1,
-            top_p: params.top_p || 1,
-            stop: params.stop || null,
-            max_tokens: params.max_tokens || null,
-            max_completion_tokens: params.max_completion_tokens || 1200,
-            presence_penalty: params.presence_penalty || 0,
-            frequency_penalty: params.frequency_penalty || 0,
-            logit_bias: params.logit_bias || null,
-            user: params.user || null,
-            messages: messages,
-            logprobs: params.logprobs || null,
-            n: params.n || 1,
-            tools: params.tools || null,
-            seed: params.seed || null
-          };
-          if (params.responseFormat) {
-            request.payload.response_format = {
-              json_schema: params.responseFormat,
-              type: 'json_schema'
-            };
-          }
-          break;
+    function buildImageAttachment(imageUrl, params) {
+      return adapter.imageAttachment(imageUrl, params, adapterContext());
+    }
 
-        case "Anthropic":
-          request.url = finalApiUrl(baseUrl, "/v1/messages");
-          request.headers["x-api-key"] = apiKey;
-          request.headers["anthropic-version"] = "2023-06-01";
-          request.payload = {
-            model: params.model || "claude-3-5-sonnet-20241022",
-            max_tokens: params.max_tokens || 1024,
-            messages: messages
-          };
-          break;
+    function imageLimits(params) {
+      return { ...(adapter.imageLimits || {}), ...(params.imageLimits || {}) };
+    }
 
-        case "Gemini":
-          request.url = finalApiUrl(baseUrl, `/v1beta/models/${params.model || model || 'gemini-2.0-flash'}:generateContent`) + "?key=" + apiKey;
-          request.payload = {
-            contents: messages
-          };
-          if (params.max_tokens) {
-            request.payload.generationConfig = request.payload.generationConfig || {};
-            request.payload.generationConfig.maxOutputTokens = params.max_tokens;
-          }
-          if (params.responseFormat) {
-            request.payload.generationConfig = request.payload.generationConfig || {};
-            request.payload.generationConfig.responseMimeType = "application/json";
-            request.payload.generationConfig.responseSchema = convertResponseFormatForGemini(params.responseFormat);
-          }
-          break;
+    function formatBytes(bytes) {
+      return bytes < 1024 * 1024 ? Math.ceil(bytes / 1024) + " KB" : (bytes / (1024 * 1024)).toFixed(1) + " MB";
+    }
 
-        case "Mistral":
-          request.url = finalApiUrl(baseUrl, "/v1/chat/completions");
-          request.headers.Authorization = "Bearer " + apiKey;
-          request.headers.Accept = "application/json";
-          request.payload = {
-            model: params.model || "mistral-large-latest",
-            messages: messages
-          };
-          if (params.responseFormat) {
-            request.payload.response_format = { type: "json_object" };
-          }
-          break;
+    function checkImageCount(count, params) {
+      var limits = imageLimits(params);
+      if (limits.maxImages && count > limits.maxImages) {
+        throw new Error(`${providerName} accepts at most ${limits.maxImages} images per request; got ${count}.`);
+      }
+    }
 
-        case "GeminiViaOpenAI":
-          request.url = finalApiUrl(baseUrl, "");
-          request.headers.Authorization = "Bearer " + apiKey;
-          request.payload = {
-            model: params.model || "gemini-2.0-flash",
-            messages: messages,
-            max_tokens: params.max_tokens || 1000
-          };
-          if (params.responseFormat) {
-            request.payload.response_format = {
-              json_schema: params.responseFormat,
-              type: 'json_schema'
-            };
-          }
-          break;
+    // Bytes of inlined images in the request being built, for maxRequestBytes.
+    var inlinedImageBytes = 0;
+    // Document pages downloaded while counting pages, reused when the request being built inlines them.
+    var downloadedImages = {};
 
-        default:
-          throw new Error("Unsupported provider: " + providerName);
+    // Resolves how an image is sent: { url, mimeType, data }, where data is the base64 content when
+    // the image is inlined and null when it is passed by URL. params.imageTransport ("inline" or
+    // "url"; inlineImages: true means "inline") overrides the provider's default. Inlined images over
+    // the provider's per-image limit are re-fetched through Cloudinary resize transformations.
+    function loadImage(imageUrl, params) {
+      params = params || {};
+      var transport = params.imageTransport || (params.inlineImages ? "inline" : null) || (adapter.inlineImagesOnly ? "inline" : adapter.imageTransport) || "url";
+      if (transport === "url") {
+        if (adapter.inlineImagesOnly) {
+          throw new Error(`${providerName} does not accept image URLs; images must be inlined.`);
+        }
+        return { url: imageUrl, mimeType: guessMimeType(imageUrl), data: null };
       }
 
-      return request;
-    }
+      var limits = imageLimits(params);
+      var url = imageUrl;
+      var data = downloadedImages.hasOwnProperty(url) ? downloadedImages[url] : download_file_base64(url);
+      var mimeType = guessMimeType(url, data);
+      if (mimeType === "unknown") {
+        throw new Error(`Cannot determine the type of image '${imageUrl}' from its URL or content.`);
+      }
 
-    function buildTextAttachment(prompt) {
-      switch(providerName) {
-        case "OpenAI":
-        case "AzureAIFoundry":
-        case "Mistral":
-        case "GeminiViaOpenAI":
-          return { "type": "text", "text": prompt };
-        case "Gemini":
-          return { "text": prompt };
-      }
-    }
-
-    function buildImageAttachment(imageUrl) {
-      switch(providerName) {
-        case "AzureAIFoundry":
-        case "OpenAI":
-          return { "type": "image_url", "image_url": { "url": imageUrl } };
-        case "Mistral":
-          return { "type": "image_url", "image_url": imageUrl };
-        case "Gemini":
-          return { "inline_data": { "mime_type": guessMimeType(imageUrl), "data": download_file_base64(imageUrl) } };
-        case "GeminiViaOpenAI":
-          return { "type": "image_url", "image_url": { "url": `data:${guessMimeType(imageUrl)};base64,${download_file_base64(imageUrl)}` } };
-      }
-    }
-
-    function defaultImageModel() {
-      switch(providerName) {
-        case "AzureAIFoundry":
-        case "OpenAI":
-          return "gpt-4o";
-        case "Mistral":
-          return "pixtral-12b-2409";
-        case "Gemini":
-        case "GeminiViaOpenAI":
-          return "gemini-2.0-flash";
+      var size = base64Size(data);
+      if (mimeType.indexOf("image/") === 0 && limits.maxImageBytes && size > limits.maxImageBytes) {
+        if (!parseCloudinaryUrl(imageUrl)) {
+          throw new Error(`Image '${imageUrl}' is ${formatBytes(size)}, over the ${formatBytes(limits.maxImageBytes)} ${providerName} limit, and is not a Salsify/Cloudinary URL that can be resized.`);
+        }
+        var dimensions = [2048, 1568, 1024, 768, 512];
+        for (var i = 0; i < dimensions.length && size > limits.maxImageBytes; i++) {
+          url = cloudinaryTransformUrl(imageUrl, `c_limit,w_${dimensions[i]},h_${dimensions[i]}`);
+          data = download_file_base64(url);
+          size = base64Size(data);
+        }
+        if (size > limits.maxImageBytes) {
+          throw new Error(`Image '${imageUrl}' is still ${formatBytes(size)} at 512px, over the ${formatBytes(limits.maxImageBytes)} ${providerName} limit.`);
+        }
+        mimeType = guessMimeType(url, data);
+      }
+
+      inlinedImageBytes += size;
+      if (limits.maxRequestBytes && inlinedImageBytes > limits.maxRequestBytes) {
+        throw new Error(`Inlined images exceed the ${formatBytes(limits.maxRequestBytes)} ${providerName} request limit; send fewer or smaller images.`);
       }
+      return { url: url, mimeType: mimeType, data: data };
     }
+
     // New method to support multi-modal image analysis.
     function analyzeImage(imageUrls, prompt, params) {
+      lastCall = null;
       if (!Array.isArray(imageUrls)) {
         throw new Error("Image URLs must be provided as an array.");
       }
 
-      if (providerName === "Anthropic") {
-        throw new Error(`Image analysis is not currently supported for ${providerName}.`)
-      }
-
       params = params || {};
       params = { ...options, ...params };
 
-      params["model"] = params["model"] || model || defaultImageModel();
+      if (!adapter.imageAttachment || !adapter.textAttachment) {
+        throw new Error(`Image analysis is not currently supported for ${providerName}.`);
+      }
+      params["model"] = params["model"] || model || adapter.defaultImageModel;
+      checkImageCount(imageUrls.length, params);
+      inlinedImageBytes = 0;
 
       var imageMessageTuples = imageUrls.map(imageUrl => {
-        var imageAttachment = buildImageAttachment(imageUrl);
+        var imageAttachment = buildImageAttachment(imageUrl, params);
         return ["user", [imageAttachment]];
       });
 
-      var textAttachment = buildTextAttachment(prompt);
+      return generateWithAttachments(imageMessageTuples, prompt, params);
+    }
+
+    // Appends the prompt after the attachment turns and sends them, keeping a rendered template's
+    // system prompt and metadata.
+    function generateWithAttachments(messageTuples, prompt, params) {
+      var template = isRenderedPrompt(prompt) ? prompt : null;
+      var textAttachment = buildTextAttachment(template ? template.text : prompt);
 
-      imageMessageTuples.push(["user", [textAttachment]]);
+      messageTuples.push(["user", [textAttachment]]);
 
-      return generateText(imageMessageTuples, params);
+      if (template) {
+        if (template.system) {
+          messageTuples.unshift(["system", template.system]);
+        }
+        return generateText({ ...template, messages: messageTuples }, params);
+      }
+      return generateText(messageTuples, params);
     }
 
-    function generateText(prompt, params) {
-      if (!apiKey) {
-        throw new Error("No API key set for " + providerName + ".");
+    // Sends PDFs natively where the provider accepts them. Otherwise, or with params.renderPages,
+    // each Salsify/Cloudinary document is sent as PNG page images (see documentPageUrls).
+    function analyzeDocument(documentUrls, prompt, params) {
+      lastCall = null;
+      if (!Array.isArray(documentUrls)) {
+        throw new Error("Document URLs must be provided as an array.");
       }
+
       params = params || {};
       params = { ...options, ...params };
 
+      var native = adapter.documentAttachment && !params.renderPages;
+      if (!adapter.textAttachment || (!native && !adapter.imageAttachment)) {
+        throw new Error(`Document analysis is not currently supported for ${providerName}.`);
+      }
+      params["model"] = params["model"] || model || adapter.defaultImageModel;
+      inlinedImageBytes = 0;
+
+      downloadedImages = {};
+      var documentPages = documentUrls.map(documentUrl => native ? null : documentPageUrls(documentUrl, params, downloadedImages));
+      if (!native) {
+        checkImageCount(documentPages.reduce((count, pages) => count + pages.length, 0), params);
+      }
+      var documentMessageTuples = documentUrls.map((documentUrl, index) => {
+        if (native) {
+          return ["user", [adapter.documentAttachment(documentUrl, params, adapterContext())]];
+        }
+        return ["user", documentPages[index].map(pageUrl => buildImageAttachment(pageUrl, params))];
+      });
+      downloadedImages = {};
+
+      return generateWithAttachments(documentMessageTuples, prompt, params);
+    }
+
+    // Builds the provider-shaped message list for a call, merging the provider contexts and, for
+    // providers without native JSON output, the response schema directive. A rendered prompt
+    // template supplies its messages, its default responseFormat and its { name, version }.
+    // Returns { messages, template } or { errors } when the response format is invalid.
+    function prepareMessages(prompt, params) {
+      var template = null;
+      if (isRenderedPrompt(prompt)) {
+        template = { name: prompt.name, version: prompt.version };
+        params.responseFormat = params.responseFormat || prompt.responseFormat || undefined;
+        prompt = prompt.messages;
+      }
+
+      // The merged system prompt is returned rather than written to params, which callers reuse
+      // (e.g. for a correction re-prompt).
+      var system = params.system || systemPrompt || undefined;
+
+      // Anthropic and Gemini reject system turns inside the message list, so any system messages
+      // in the prompt are moved to the system prompt.
+      if (Array.isArray(prompt) && !providerSupportsSystemRole) {
+        var systemTexts = prompt.filter(isSystemMessage).map(systemMessageText);
+        if (systemTexts.length > 0) {
+          system = [system].concat(systemTexts).filter(Boolean).join("\n\n");
+          prompt = prompt.filter(item => !isSystemMessage(item));
+        }
+      }
+
       var messages = buildMessages(prompt);
+      // Directives for this call only; they must not leak into the provider's persistent contexts.
+      var callContexts = contexts.slice();
       // Ensure that the response format is valid if present, and if the provider doesn't support JSON append the format to the context as a directive to the LLM.
       if (params.responseFormat) {
-        if (providerSupportsJSON) {
+        var nativeFormat = providerSupportsJSON && (!adapter.nativeResponseFormat || adapter.nativeResponseFormat(params.responseFormat, adapterContext()));
+        if (nativeFormat && !adapter.nativeResponseFormat) {
           var errors = validateResponseFormat(params.responseFormat);
           if (errors.length > 0) {
-            return errors;
+            return { errors: errors };
           }
-        } else {
-          addContext("ASSOCIATED RESPONSE SCHEMA", JSON.stringify(params.responseFormat));
-          addContext("RESPONSE DIRECTIVE", "Please output only the raw JSON. Where possible attempt to conform with the supplied schema. Reply without markdown formatting (NO backticks or language directive), explanation, or commentary");
+        } else if (!nativeFormat) {
+          callContexts.push({ key: "ASSOCIATED RESPONSE SCHEMA", context: JSON.stringify(params.responseFormat) });
+          callContexts.push({ key: "RESPONSE DIRECTIVE", context: "Please output only the raw JSON. Where possible attempt to conform with the supplied schema. Reply without markdown formatting (NO backticks or language directive), explanation, or commentary" });
         }
       }
 
-      // Serialize any added CONTEXTS to the request;
-      serializeContext(messages);
-
-      var requestObject = buildRequest(apiKey, baseUrl, messages, params);
+      // Serialize any added CONTEXTS to the request, as a leading user turn or appended to the system prompt.
+      if (params.contextPlacement === "system") {
+        if (callContexts.length > 0) {
+          system = [system, JSON.stringify(contextObjectFor(callContexts))].filter(Boolean).join("\n\n");
+        }
+      } else {
+        serializeContext(messages, callContexts);
+      }
+      return { messages: messages, template: template, system: system };
+    }
 
+    // Performs a built request (unless debugPrompt is set) and records the outcome as lastCall.
+    // When the request is cacheable and caching is enabled, a fresh cached response is returned
+    // without a request and successful responses are stored.
+    function sendRequest(requestObject, params, cacheable) {
+      // Gemini, Vertex and Bedrock carry the model in the URL rather than the payload.
+      var urlModel = String(requestObject.url).match(/\/models?\/([^:\/?]+)[:\/]/);
+      var callRecord = { provider: providerName, model: requestObject.payload.model || (urlModel && decodeURIComponent(urlModel[1])) || params.model || model || null };
+      if (requestObject.promptTemplate) {
+        callRecord.promptTemplate = requestObject.promptTemplate;
+      }
       var response = requestObject; // default to the request so we can debug
       if (!requestObject.debugPrompt) {
-        response = performRequest(requestObject);
+        var cacheKey = (responseCache && cacheable && params.cache !== false) ? responseCacheKey(requestObject) : null;
+        var cached = cacheKey ? readCachedResponse(cacheKey) : null;
+        if (cached) {
+          response = cached.response;
+          callRecord.attempts = 0;
+          callRecord.status = "success";
+          callRecord.message = null;
+          callRecord.usage = { ...extractUsage(response, callRecord.model, 0), inputTokens: 0, outputTokens: 0, cachedTokens: 0, cacheWriteTokens: 0, estimatedCost: 0 };
+        } else {
+          var startedAt = Date.now();
+          authorizeRequest(requestObject);
+          response = performRequest(requestObject, resolveRetryPolicy(retryPolicy, params.retry), callRecord);
+          callRecord.usage = extractUsage(response, callRecord.model, Date.now() - startedAt);
+          if (cacheKey && callRecord.status === "success") {
+            responseCache.storage.set(cacheKey, { storedAt: Date.now(), response: response });
+          }
+        }
+        callRecord.usage.cacheHit = !!cached;
+        meterUsage(callRecord.usage, callRecord.status === "failure");
+        if (callRecord.status === "success" && adapter.finishReason) {
+          callRecord.providerFinishReason = adapter.finishReason(response, adapterContext()) || null;
+          callRecord.finishReason = normalizeFinishReason(callRecord.providerFinishReason);
+        }
+      } else {
+        authorizeRequest(requestObject);
+        callRecord.attempts = 0;
+        callRecord.status = "debug";
+      }
+      lastCall = callRecord;
+      return response;
+    }
+
+    function generateText(prompt, params) {
+      lastCall = null;
+      params = params || {};
+      params = { ...options, ...params };
+      var keyCheck = checkAPIKey(params);
+      if (keyCheck) {
+        return keyCheck.error;
+      }
+
+      var prepared = prepareMessages(prompt, params);
+      if (prepared.errors) {
+        return responseFormatError(prepared.errors, params);
       }
 
+      var requestParams = { ...params, system: prepared.system };
+      var requestObject = buildRequest(apiKey, baseUrl, prepared.messages, requestParams);
+      if (prepared.template) {
+        requestObject.promptTemplate = prepared.template;
+      }
+      var response = sendRequest(requestObject, requestParams, true);
+      var callRecord = lastCall;
+
       if (requestObject.debugResponse || requestObject.debugPrompt) {
+        return scrubHeaders(response);
+      }
+      if (candidateCount(params) > 1) {
+        return finishCandidates(params, callRecord, response);
+      }
+      var rawContent = extractContent(response, params);
+      return finishCompletion(prompt, params, callRecord, rawContent, extractJSON(rawContent, params.responseFormat || false));
+    }
+
+    // The answers of a multi-candidate response. A candidate that was truncated or filtered becomes a
+    // TRUNCATED or CONTENT_FILTER error in its place, and one that is not valid structured content a
+    // PARSE_ERROR. A failed request is reported like any other.
+    function finishCandidates(params, callRecord, response) {
+      if (callRecord.status === "failure") {
+        var error = completionError(callRecord, null);
+        callRecord.error = error;
+        return reportError(error, params, []);
+      }
+      var candidates = adapter.extractCandidates(response, params, adapterContext());
+      callRecord.candidateFinishReasons = candidates.map(candidate => normalizeFinishReason(candidate.finishReason));
+      return candidates.map(candidate => {
+        var rawContent = candidate.content;
+        var finishError = finishReasonError(callRecord, candidate.finishReason, rawContent);
+        if (finishError) {
+          return finishError;
+        }
+        var content = extractJSON(rawContent, params.responseFormat || false);
+        var validationError = params.responseFormat && params.validateResponse !== false ? validateStructuredResponse(content, params.responseFormat) : null;
+        return validationError
+          ? callError("PARSE_ERROR", validationError.message, callRecord, { details: { violations: validationError.violations, content: validationError.content } })
+          : content;
+      });
+    }
+
+    // Returns candidateOptions.count (default 3) independent answers to the prompt, or to
+    // analyzeImage(candidateOptions.imageUrls, prompt) when image URLs are given. Providers that can
+    // return several candidates per request (OpenAI and Azure n, Gemini candidateCount) are asked
+    // once; others are called repeatedly, bypassing the response cache. Failed or invalid answers
+    // are SalsifyAIErrors in the list.
+    function generateCandidates(prompt, params, candidateOptions) {
+      candidateOptions = candidateOptions || {};
+      var count = candidateOptions.count || 3;
+      var imageUrls = candidateOptions.imageUrls || null;
+      params = { ...(params || {}), errorMode: "return", cache: false };
+
+      function ask(callParams) {
+        return imageUrls ? analyzeImage(imageUrls, prompt, callParams) : generateText(prompt, callParams);
+      }
+
+      if (count > 1 && candidateCount({ candidateCount: count }) > 1) {
+        var answers = ask({ ...params, candidateCount: count });
+        return Array.isArray(answers) ? answers : [answers];
+      }
+      var repeated = [];
+      for (var i = 0; i < count; i++) {
+        repeated.push(ask(params));
+      }
+      return repeated;
+    }
+
+    // Validates structured content of a successful call and records the outcome on the call record.
+    // Returns the ResponseValidationError, or null when there is nothing to report.
+    function checkStructuredResponse(content, params, callRecord) {
+      if (!params.responseFormat || params.validateResponse === false || callRecord.status !== "success") {
+        return null;
+      }
+      var validationError = validateStructuredResponse(content, params.responseFormat);
+      callRecord.validation = { valid: !validationError, corrected: false, violations: validationError ? validationError.violations : [] };
+      return validationError;
+    }
+
+    function supportsTools() {
+      return ["toolDefinitions", "extractToolCalls", "assistantToolMessage", "toolResultMessages"].every(hook => typeof adapter[hook] === "function");
+    }
+
+    // Returns the tool calls requested by a response as [{ id, name, arguments }].
+    function extractToolCalls(response) {
+      return adapter.extractToolCalls(response, adapterContext());
+    }
+
+    // The assistant turn that requested the tool calls, echoed back verbatim in the provider's shape.
+    function buildAssistantToolMessage(response) {
+      return adapter.assistantToolMessage(response, adapterContext());
+    }
+
+    function buildToolResultMessages(results) {
+      return adapter.toolResultMessages(results, adapterContext());
+    }
+
+    // Handler errors are reported back to the model rather than aborting the loop.
+    function invokeTool(call) {
+      var tool = tools.filter(candidate => candidate.name === call.name)[0];
+      if (!tool) {
+        return { error: `Unknown tool '${call.name}'.` };
+      }
+      try {
+        var result = tool.handler(call.arguments, call);
+        return result === undefined ? null : result;
+      } catch (e) {
+        return { error: e.message };
+      }
+    }
+
+    // Sends the prompt with the defined tools, runs every tool call the model requests and feeds
+    // the results back until the model answers without calling a tool. Throws when no final
+    // answer arrives within params.maxToolIterations (default 5) requests.
+    function runWithTools(prompt, params) {
+      lastCall = null;
+      var keyCheck = checkAPIKey({ ...options, ...(params || {}) });
+      if (keyCheck) {
+        return keyCheck.error;
+      }
+      if (!supportsTools()) {
+        throw new Error(`Tool calling is not currently supported for ${providerName}.`);
+      }
+      if (tools.length === 0) {
+        throw new Error("No tools defined for " + providerName + ". Call defineTool() before runWithTools().");
+      }
+      params = params || {};
+      params = { ...options, ...params };
+
+      var prepared = prepareMessages(prompt, params);
+      if (prepared.errors) {
+        return responseFormatError(prepared.errors, params);
+      }
+
+      var messages = prepared.messages;
+      var requestParams = { ...params, system: prepared.system };
+      var maxIterations = params.maxToolIterations || 5;
+      var toolCalls = [];
+      var attempts = 0;
+      var usage = null;
+
+      for (var iteration = 1; iteration <= maxIterations; iteration++) {
+        var requestObject = buildRequest(apiKey, baseUrl, messages, requestParams);
+        if (prepared.template) {
+          requestObject.promptTemplate = prepared.template;
+        }
+        var toolDefinitions = adapter.toolDefinitions(tools, adapterContext());
+        if (adapter.attachTools) {
+          adapter.attachTools(requestObject, toolDefinitions, params, adapterContext());
+        } else {
+          requestObject.payload.tools = toolDefinitions;
+        }
+
+        var response = sendRequest(requestObject, requestParams);
+        var callRecord = lastCall;
+        attempts += callRecord.attempts;
+        callRecord.attempts = attempts;
+        usage = mergeUsage(usage, callRecord.usage);
+        callRecord.usage = usage;
+        callRecord.iterations = iteration;
+        callRecord.toolCalls = toolCalls;
+
         if (requestObject.debugPrompt) {
-          scrubHeaders(response);
+          return scrubHeaders(response);
         }
-        return response;
-      } else {
-        response = extractJSON(extractContent(response), params.responseFormat || false);
+
+        var calls = callRecord.status === "success" ? extractToolCalls(response) : [];
+        var responseToolName = params.responseFormat ? params.responseFormat.name : null;
+        if (calls.every(call => call.name === responseToolName)) {
+          if (requestObject.debugResponse) {
+            return scrubHeaders(response);
+          }
+          var rawContent = extractContent(response, params);
+          return finishCompletion(prompt, { ...params, correctInvalidResponse: false }, callRecord, rawContent, extractJSON(rawContent, params.responseFormat || false));
+        }
+
+        // Every call needs a result. An answer given alongside other tool calls was made without
+        // their results, so it is set aside and the model is asked to answer again.
+        var results = calls.map(call => {
+          if (call.name === responseToolName) {
+            return { call: call, result: { error: `Answer not recorded. Call ${responseToolName} again once the other tool results are in.` } };
+          }
+          var result = invokeTool(call);
+          toolCalls.push({ name: call.name, arguments: call.arguments, result: result });
+          return { call: call, result: result };
+        });
+        messages = messages.concat(buildAssistantToolMessage(response), buildToolResultMessages(results));
       }
 
-      return response;
+      throw new Error(`${providerName} did not produce a final answer within ${maxIterations} tool iterations.`);
+    }
+
+    // A stateful multi-turn conversation. Turns are kept in this provider's message shape (Gemini
+    // replies use the "model" role) and the system prompt is sent the way each API expects.
+    // conversationOptions: { system, maxHistoryTokens }.
+    function startConversation(conversationOptions) {
+      conversationOptions = conversationOptions || {};
+      var system = conversationOptions.system || null;
+      var turns = [];
+
+      // Drops the oldest user/assistant exchanges until the estimated size of the system prompt
+      // and history fits the budget. The system prompt itself is never dropped.
+      function truncate(maxTokens) {
+        var budget = maxTokens - (system ? estimateTokens(system) : 0);
+        while (turns.length > 0 && turns.reduce((sum, turn) => sum + estimateTokens(turn), 0) > budget) {
+          turns.splice(0, Math.min(2, turns.length));
+        }
+        return conversation;
+      }
+
+      function send(userMessage, params) {
+        params = params || {};
+        var userTurn = buildProviderMessage("user", userMessage)[0];
+        if (conversationOptions.maxHistoryTokens) {
+          truncate(conversationOptions.maxHistoryTokens - estimateTokens(userTurn));
+        }
+
+        var reply = generateText(turns.concat([userTurn]), { ...params, system: params.system || system || undefined });
+
+        var answered = lastCall && lastCall.status === "success" && !(reply && (reply.type === "ResponseValidationError" || isSalsifyAIError(reply)));
+        if (answered) {
+          var replyText = typeof reply === "string" ? reply : JSON.stringify(reply);
+          turns.push(userTurn, buildProviderMessage("assistant", replyText)[0]);
+        }
+        return reply;
+      }
+
+      var conversation = {
+        send: send,
+        truncate: truncate,
+        history: function() {
+          return JSON.parse(JSON.stringify(turns));
+        },
+        reset: function() {
+          turns = [];
+          return conversation;
+        }
+      };
+      return conversation;
+    }
+
+    // Re-prompts the model once with its previous answer and the schema violations so it can
+    // produce a conforming response. The result of the second attempt is returned as-is.
+    function correctStructuredResponse(prompt, params, rawContent, validationError) {
+      var firstCall = lastCall;
+      var correctionMessage = "Your previous response did not conform to the required JSON schema. Violations:\n" +
+        validationError.violations.map(violation => `- ${violation.path || "/"}: ${violation.message}`).join("\n") +
+        "\nReply again with only the corrected raw JSON.";
+
+      var template = isRenderedPrompt(prompt) ? prompt : null;
+      var original = template ? template.messages : prompt;
+      var conversation = typeof original === "string" ? [["user", original]] : original.slice();
+      conversation.push(["assistant", typeof rawContent === "string" ? rawContent : JSON.stringify(rawContent)]);
+      conversation.push(["user", correctionMessage]);
+
+      var corrected = generateText(template ? { ...template, messages: conversation } : conversation, { ...params, correctInvalidResponse: false });
+      if (lastCall) {
+        lastCall.attempts += firstCall.attempts;
+        lastCall.usage = mergeUsage(firstCall.usage, lastCall.usage);
+        if (lastCall.validation) {
+          lastCall.validation.corrected = true;
+        }
+      }
+      return corrected;
+    }
+
+    // Returns one L2-normalized vector per input text (a single string counts as one text).
+    // A failed request is reported as a SalsifyAIError, thrown unless the error mode is "return".
+    function embed(texts, params) {
+      lastCall = null;
+      params = { ...options, ...(params || {}) };
+      params.errorMode = resolveErrorMode(params) || "throw";
+      var keyCheck = checkAPIKey(params);
+      if (keyCheck) {
+        return keyCheck.error;
+      }
+      if (!adapter.embedRequest) {
+        throw new Error(`Embeddings are not currently supported for ${providerName}.`);
+      }
+      texts = Array.isArray(texts) ? texts : [texts];
+      if (texts.length === 0 || texts.some(text => typeof text !== "string" || text === "")) {
+        throw new Error("Texts to embed must be non-empty strings.");
+      }
+
+      var requestObject = adapter.embedRequest(basePayload(params), texts, params, adapterContext());
+      var response = sendRequest(requestObject, params);
+      var callRecord = lastCall;
+      if (requestObject.debugPrompt || requestObject.debugResponse) {
+        return scrubHeaders(response);
+      }
+      var error = requestError(callRecord);
+      if (error) {
+        return reportError(error, params);
+      }
+      return adapter.parseEmbeddings(response, adapterContext()).map(normalizeVector);
     }
 
+    // Without an error mode a failed request returns the failure response, as it always has.
     function generateImage(prompt, params) {
-      if (!apiKey) {
-        throw new Error("No API key set for " + providerName + ".");
+      lastCall = null;
+      params = { ...options, ...(params || {}) };
+      var keyCheck = checkAPIKey(params);
+      if (keyCheck) {
+        return keyCheck.error;
       }
 
-      if (providerName != "OpenAI") {
+      if (!adapter.imageGenerationRequest) {
         throw new Error(`Image generation is not currently supported for ${providerName}.`)
       }
 
-      params = params || {};
-      params = { ...options, ...params };
+      var request = adapter.imageGenerationRequest(basePayload(params), prompt, params, adapterContext());
+      var callRecord = { provider: providerName, model: request.payload.model || params.model || null };
+      var response = performRequest(request, resolveRetryPolicy(retryPolicy, params.retry), callRecord);
+      lastCall = callRecord;
+      var error = requestError(callRecord);
+      return error ? reportError(error, params, response) : response;
+    }
 
-      var request = basePayload(params);
-      request.url = finalApiUrl(baseUrl, "/v1/images/generations");
-      request.headers.Authorization = "Bearer " + apiKey;
-      request.payload = {
-        model: params.model || "dall-e-3",
-        prompt: prompt,
-        n: params.n || 1,
-        size: params.size || "1024x1024",
-        quality: params.quality || "standard"
+    function requireBatchSupport() {
+      ensureAPIKey();
+      if (!adapter.batch) {
+        throw new Error(`Batch requests are not currently supported for ${providerName}.`);
+      }
+    }
+
+    // The handle is plain JSON so it can be stored between workflow steps; items remembers each
+    // request's model and responseFormat for collectBatchResults.
+    function batchHandle(batch, items) {
+      return {
+        id: batch.id,
+        provider: providerName,
+        status: batch.status,
+        done: batch.done,
+        requestCounts: batch.requestCounts,
+        items: items
       };
+    }
+
+    // Submits the requests as one provider batch and returns its handle without waiting. Each request
+    // is a prompt or { customId, prompt, params }; params apply to every request and per-request
+    // params override them. Custom ids default to "item-1", "item-2", ...
+    function createBatch(requests, params) {
+      requireBatchSupport();
+      if (!Array.isArray(requests) || requests.length === 0) {
+        throw new Error("createBatch requires a non-empty array of requests.");
+      }
+      params = { ...options, ...(params || {}) };
+
+      var built = requests.map((request, index) => {
+        request = (typeof request === "object" && request !== null && !Array.isArray(request)) ? request : { prompt: request };
+        var itemParams = { ...params, ...(request.params || {}) };
+        var prepared = prepareMessages(request.prompt, itemParams);
+        if (prepared.errors) {
+          throw new Error(`Batch request ${index + 1} is invalid: ${JSON.stringify(prepared.errors)}`);
+        }
+        return {
+          customId: String(request.customId || `item-${index + 1}`),
+          params: itemParams,
+          request: buildRequest(apiKey, baseUrl, prepared.messages, { ...itemParams, system: prepared.system })
+        };
+      });
+      var seen = {};
+      built.forEach(item => {
+        if (seen[item.customId]) {
+          throw new Error(`Duplicate batch custom id '${item.customId}'.`);
+        }
+        seen[item.customId] = true;
+      });
+
+      if (params.debugPrompt) {
+        return built.map(item => ({ customId: item.customId, request: scrubHeaders(item.request) }));
+      }
 
-      return performRequest(request);
+      var items = {};
+      built.forEach(item => {
+        var urlModel = String(item.request.url).match(/\/models?\/([^:\/?]+)[:\/]/);
+        items[item.customId] = {
+          model: item.request.payload.model || (urlModel && decodeURIComponent(urlModel[1])) || item.params.model || model || null,
+          responseFormat: item.params.responseFormat || null
+        };
+      });
+      var batch = adapter.batch.submit(built.map(item => ({ customId: item.customId, request: item.request })), params, adapterContext());
+      return batchHandle(batch, items);
+    }
+
+    // Fetches the current status of a batch, given its handle or id.
+    function getBatch(batchOrId) {
+      requireBatchSupport();
+      var handle = typeof batchOrId === "object" && batchOrId !== null ? batchOrId : { id: batchOrId };
+      return batchHandle(adapter.batch.status(handle.id, adapterContext()), handle.items || {});
+    }
+
+    // Polls until the batch finishes or options.timeoutMs (default 60000) passes, sleeping
+    // options.intervalMs (default 5000) between checks. Batches usually take minutes to hours, so
+    // workflows should prefer collecting in a later step; this is for short batches and testing.
+    function waitForBatch(batchOrId, waitOptions) {
+      waitOptions = waitOptions || {};
+      var sleep = waitOptions.sleep || busyWait;
+      var deadline = Date.now() + (waitOptions.timeoutMs !== undefined ? waitOptions.timeoutMs : 60000);
+      var batch = getBatch(batchOrId);
+      while (!batch.done && Date.now() < deadline) {
+        sleep(Math.min(waitOptions.intervalMs || 5000, Math.max(deadline - Date.now(), 0)));
+        batch = getBatch(batch);
+      }
+      return batch;
+    }
+
+    // Returns { done: false, status } while the batch is running. Once it has finished, returns
+    // { done: true, status, results, failed } where results maps each custom id to
+    // { status, content, message, usage }; content is run through the same extraction and
+    // structured-response validation as generateText. params.responseFormat applies to items
+    // whose handle did not record one (e.g. when only the id was kept).
+    function collectBatchResults(batchOrId, params) {
+      requireBatchSupport();
+      params = { ...options, ...(params || {}) };
+      var handle = typeof batchOrId === "object" && batchOrId !== null ? batchOrId : { id: batchOrId };
+      var raw = adapter.batch.status(handle.id, adapterContext());
+      var batch = batchHandle(raw, handle.items || {});
+      if (!batch.done) {
+        return { id: batch.id, done: false, status: batch.status, requestCounts: batch.requestCounts };
+      }
+      var results = {};
+      var failed = [];
+      adapter.batch.results(raw, adapterContext()).forEach(entry => {
+        var item = batch.items[entry.customId] || {};
+        var itemParams = { ...params, responseFormat: item.responseFormat || params.responseFormat };
+        var result = { status: "failure", content: null, message: entry.error, usage: null };
+        if (!entry.error) {
+          var usage = extractUsage(entry.body, item.model || params.model || model || null, 0);
+          // Batch APIs bill at half the synchronous rate.
+          usage.estimatedCost = usage.estimatedCost === null ? null : usage.estimatedCost / 2;
+          usage.cacheHit = false;
+          meterUsage(usage);
+          var content = extractJSON(extractContent(entry.body, itemParams), itemParams.responseFormat || false);
+          var validationError = (itemParams.responseFormat && itemParams.validateResponse !== false) ? validateStructuredResponse(content, itemParams.responseFormat) : null;
+          result = {
+            status: validationError ? "failure" : "success",
+            content: validationError || content,
+            message: validationError ? validationError.message : null,
+            usage: usage
+          };
+        }
+        if (result.status === "failure") {
+          failed.push(entry.customId);
+        }
+        results[entry.customId] = result;
+      });
+      return { id: batch.id, done: true, status: batch.status, requestCounts: batch.requestCounts, results: results, failed: failed };
     }
 
     providerObj = {
@@ -590,33 +3562,254 @@ function createSalsifyAI() {
       addContext: addContext,
       setModel: setModel,
       setOptions: setOptions,
+      setRetryPolicy: setRetryPolicy,
+      setErrorMode: setErrorMode,
+      setSystemPrompt: setSystemPrompt,
+      getLastCall: getLastCall,
+      getUsage: getUsage,
+      setCache: setCache,
+      resetUsage: resetUsage,
+      defineTool: defineTool,
+      runWithTools: runWithTools,
+      startConversation: startConversation,
       clearContext: clearContext,
       generateText: generateText,
       analyzeImage: analyzeImage,
-      generateImage: generateImage
+      analyzeDocument: analyzeDocument,
+      generateCandidates: generateCandidates,
+      // consensusOptions.providers defaults to this provider alone.
+      generateConsensus: function(prompt, params, consensusOptions) {
+        consensusOptions = consensusOptions || {};
+        return generateConsensus(prompt, params, { ...consensusOptions, providers: consensusOptions.providers || [providerObj] });
+      },
+      generateImage: generateImage,
+      listModels: listModels,
+      embed: embed,
+      createBatch: createBatch,
+      getBatch: getBatch,
+      waitForBatch: waitForBatch,
+      collectBatchResults: collectBatchResults
     };
 
     return providerObj;
   }
 
+  // Wraps an ordered list of providers behind the generateText/analyzeImage API. Each provider
+  // runs with its own retry policy; when it still fails (or throws) the next provider is tried.
+  // getLastCall() reports which provider answered, its attempts, and the failures before it.
+  function createFallbackChain(providers) {
+    if (!Array.isArray(providers) || providers.length === 0) {
+      throw new Error("A fallback chain requires a non-empty array of providers.");
+    }
+
+    var lastCall = null;
+
+    function callWithFallback(methodName, args) {
+      lastCall = null;
+      var failures = [];
+
+      for (var i = 0; i < providers.length; i++) {
+        var provider = providers[i];
+        var result;
+        try {
+          result = provider[methodName].apply(null, args);
+        } catch (e) {
+          failures.push({ provider: provider.providerName, attempts: 0, status: "failure", message: redactor.redactText(e.message) });
+          continue;
+        }
+
+        var call = provider.getLastCall();
+        if (call && call.status === "failure") {
+          failures.push(call);
+          continue;
+        }
+
+        lastCall = { ...call, fallbacks: failures };
+        return result;
+      }
+
+      var totalAttempts = failures.reduce((sum, failure) => sum + (failure.attempts || 0), 0);
+      lastCall = { provider: null, model: null, attempts: totalAttempts, status: "failure", message: "All providers failed.", fallbacks: failures };
+      throw new Error("All providers in the fallback chain failed: " + failures.map(failure => failure.provider + " (" + failure.message + ")").join("; "));
+    }
+
+    return {
+      providers: providers,
+      generateText: function(prompt, params) {
+        return callWithFallback("generateText", [prompt, params]);
+      },
+      analyzeImage: function(imageUrls, prompt, params) {
+        return callWithFallback("analyzeImage", [imageUrls, prompt, params]);
+      },
+      getLastCall: function() {
+        return lastCall;
+      }
+    };
+  }
+
+  function consensusValue(answer, field) {
+    if (typeof field === "function") {
+      return field(answer);
+    }
+    if (!field) {
+      return answer;
+    }
+    return String(field).split(".").reduce((value, key) => (value !== null && typeof value === "object") ? value[key] : undefined, answer);
+  }
+
+  // Gathers consensusOptions.samples (default 5) answers, spread evenly over consensusOptions.providers,
+  // and votes on consensusOptions.field (a dotted path or function(answer); the whole answer when
+  // omitted). Returns { value, agreement, needsReview, votes, samples, validSamples, answer, errors }:
+  // agreement is the winning value's share of all samples, so failed answers count against it, and
+  // needsReview is set below consensusOptions.minAgreement (default 0.6), on a tie (value is then
+  // null) or when no answer was usable. consensusOptions.imageUrls samples analyzeImage instead.
+  function generateConsensus(prompt, params, consensusOptions) {
+    consensusOptions = consensusOptions || {};
+    var providers = consensusOptions.providers;
+    if (!Array.isArray(providers) || providers.length === 0) {
+      throw new Error("generateConsensus requires a non-empty array of providers.");
+    }
+    var samples = consensusOptions.samples || 5;
+    var minAgreement = consensusOptions.minAgreement !== undefined ? consensusOptions.minAgreement : 0.6;
+
+    var answers = [];
+    providers.forEach((provider, index) => {
+      var count = Math.floor(samples / providers.length) + (index < samples % providers.length ? 1 : 0);
+      if (count > 0) {
+        provider.generateCandidates(prompt, params, { count: count, imageUrls: consensusOptions.imageUrls }).forEach(answer => {
+          answers.push({ provider: provider.providerName, answer: answer });
+        });
+      }
+    });
+
+    var tally = {};
+    var votes = [];
+    answers.forEach(entry => {
+      var value = isSalsifyAIError(entry.answer) ? undefined : consensusValue(entry.answer, consensusOptions.field);
+      if (value === undefined || value === null) {
+        return;
+      }
+      var key = stableStringify(value);
+      if (!tally[key]) {
+        tally[key] = { value: value, count: 0, providers: [], answer: entry.answer };
+        votes.push(tally[key]);
+      }
+      tally[key].count += 1;
+      tally[key].providers.push(entry.provider);
+    });
+    // Array.prototype.sort is stable, so equal counts keep the order values were first seen.
+    votes.sort((a, b) => b.count - a.count);
+
+    var winner = votes[0] || null;
+    var tied = votes.length > 1 && votes[1].count === winner.count;
+    var agreement = winner && answers.length > 0 ? winner.count / answers.length : 0;
+    return {
+      value: winner && !tied ? winner.value : null,
+      agreement: agreement,
+      needsReview: !winner || tied || agreement < minAgreement,
+      votes: votes.map(vote => ({ value: vote.value, count: vote.count, providers: vote.providers })),
+      samples: answers.length,
+      validSamples: votes.reduce((sum, vote) => sum + vote.count, 0),
+      answer: winner && !tied ? winner.answer : null,
+      errors: answers.filter(entry => isSalsifyAIError(entry.answer)).map(entry => ({ provider: entry.provider, code: entry.answer.code, message: entry.answer.message }))
+    };
+  }
+
+  // The debug logger shared by scripts: log(message) keeps a redacted copy of each message when
+  // debug is on, and getLogs() returns them. options.redaction adds rules for this logger only.
+  function createLogger(debug, options) {
+    var logRedactor = options && options.redaction ? createRedactor(mergeRedactionRules(config.redaction, options.redaction)) : redactor;
+    var logs = [];
+    return {
+      log: function(message) {
+        if (debug) {
+          logs.push(logRedactor.redact(message));
+        }
+      },
+      getLogs: function() {
+        return logs;
+      }
+    };
+  }
+
   return {
+    prompts: createPromptRegistry(),
+    // Returns the serializable cassette data (null when no cassette is configured).
+    getCassette: function() {
+      return cassette ? cassette.data() : null;
+    },
+    createFallbackChain: createFallbackChain,
+    generateConsensus: generateConsensus,
+    createMemoryCache: createMemoryCache,
+    createVectorIndex: createVectorIndex,
+    createLogger: createLogger,
+    createRedactor: createRedactor,
+    ERROR_CODES: ERROR_CODES.slice(),
+    isSalsifyAIError: isSalsifyAIError,
+    // Redacted copy of any value using the rules from config.redaction and the defaults.
+    redact: function(value) {
+      return redactor.redact(value);
+    },
+    setPriceTable: setPriceTable,
+    validateSchema: function(value, schema) {
+      return validateSchema(value, schema);
+    },
+    // Registers (or replaces) a provider adapter and returns a factory(apiKey, baseUrl, providerConfig).
+    registerProvider: registerProvider,
+    createProvider: createProvider,
+    listProviders: function() {
+      return Object.keys(providerAdapters);
+    },
     openAIProvider: function(apiKey, baseUrl) {
-      return createProvider("OpenAI", apiKey, baseUrl || "https://api.openai.com");
+      return createProvider("OpenAI", apiKey, baseUrl);
     },
     anthropicProvider: function(apiKey, baseUrl) {
-      return createProvider("Anthropic", apiKey, baseUrl || "https://api.anthropic.com");
+      return createProvider("Anthropic", apiKey, baseUrl);
     },
     geminiProvider: function(apiKey, baseUrl) {
-      return createProvider("Gemini", apiKey, baseUrl || "https://generativelanguage.googleapis.com");
+      return createProvider("Gemini", apiKey, baseUrl);
     },
     mistralProvider: function(apiKey, baseUrl) {
-      return createProvider("Mistral", apiKey, baseUrl || "https://api.mistral.ai");
+      return createProvider("Mistral", apiKey, baseUrl);
     },
     geminiViaOpenAIProvider: function(apiKey, baseUrl) {
-      return createProvider("GeminiViaOpenAI", apiKey, baseUrl || "https://generativelanguage.googleapis.com/v1beta/openai/chat/completions");
+      return createProvider("GeminiViaOpenAI", apiKey, baseUrl);
     },
     azureAIFoundryProvider: function(apiKey, baseUrl) {
       return createProvider("AzureAIFoundry", apiKey, baseUrl);
+    },
+    // credentials: { accessKeyId, secretAccessKey, sessionToken, region }.
+    bedrockProvider: function(credentials, baseUrl) {
+      credentials = credentials || {};
+      var region = credentials.region || "us-east-1";
+      return createProvider("Bedrock", "", baseUrl || `https://bedrock-runtime.${region}.amazonaws.com`, {
+        credentials: credentials,
+        region: region
+      });
+    },
+    // serviceAccount is the service-account key file, as an object or its JSON text.
+    // settings: { project, location, baseUrl }; project defaults to the key's project_id.
+    vertexProvider: function(serviceAccount, settings) {
+      serviceAccount = typeof serviceAccount === "string" ? JSON.parse(serviceAccount) : (serviceAccount || {});
+      settings = settings || {};
+      var location = settings.location || "us-central1";
+      var host = location === "global" ? "https://aiplatform.googleapis.com" : `https://${location}-aiplatform.googleapis.com`;
+      return createProvider("Vertex", "", settings.baseUrl || host, {
+        serviceAccount: serviceAccount,
+        project: settings.project || serviceAccount.project_id,
+        location: location
+      });
+    },
+    // Any server exposing the OpenAI chat completions API (vLLM, llama.cpp server, LM Studio...).
+    openAICompatibleProvider: function(baseUrl, settings) {
+      settings = settings || {};
+      return createProvider("OpenAICompatible", settings.apiKey, baseUrl, {
+        pathOverrides: settings.pathOverrides,
+        supportsJsonSchema: settings.supportsJsonSchema
+      });
+    },
+    ollamaProvider: function(baseUrl) {
+      return createProvider("Ollama", "", baseUrl);
     }
   };
 }
@@ -23,16 +23,10 @@ function flattenSingleValueArrays(input) {
 
 // Fonction de journalisation pour activer les logs si le mode débogage est activé
 // Logging utility to accumulate logs if debug mode is enabled
+// The shared SalsifyAI logger (the wrapper.js helper bound as SalsifyAI) redacts credentials,
+// emails, phone numbers and GTINs from what it keeps.
 function createLogger(debugMode) {
-    const logs = [];
-    return {
-        log: (message) => {
-            if (debugMode) {
-                logs.push(message);
-            }
-        },
-        getLogs: () => logs
-    };
+    return SalsifyAI.createLogger(debugMode, { redaction: { gtins: true } });
 }
 
 // Fonction pour sérialiser les objets de manière lisible pour le débogage ou l'interpolation de chaînes
@@ -24,16 +24,10 @@ function flattenSingleValueArrays(input) {
 
 // Fonction de journalisation pour le débogage
 // Logging utility for debugging purposes
+// The shared SalsifyAI logger (the wrapper.js helper bound as SalsifyAI) redacts credentials,
+// emails, phone numbers and GTINs from what it keeps.
 function createLogger(debugMode) {
-    const logs = [];
-    return {
-        log: (message) => {
-            if (debugMode) {
-                logs.push(message);
-            }
-        },
-        getLogs: () => logs
-    };
+    return SalsifyAI.createLogger(debugMode, { redaction: { gtins: true } });
 }
 
 // Définition du mode de débogage basé sur le contexte ou par défaut sur false
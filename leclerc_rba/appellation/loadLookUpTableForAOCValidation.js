@@ -1,14 +1,8 @@
 // Logging utility that accumulates logs if debug mode is enabled
+// The shared SalsifyAI logger (the wrapper.js helper bound as SalsifyAI) redacts credentials,
+// emails, phone numbers and GTINs from what it keeps.
 function createLogger(debugMode) {
-    const logs = [];
-    return {
-        log: (message) => {
-            if (debugMode) {
-                logs.push(message);
-            }
-        },
-        getLogs: () => logs
-    };
+    return SalsifyAI.createLogger(debugMode, { redaction: { gtins: true } });
 }
 
 // Enable debugging based on context or default
@@ -11,17 +11,10 @@ const headers = {
 
 // Logging utility that accumulates logs if debug mode is enabled
 // Utilitaire de journalisation qui accumule les logs si le mode debug est activé
+// The shared SalsifyAI logger (the wrapper.js helper bound as SalsifyAI) redacts credentials,
+// emails, phone numbers and GTINs from what it keeps.
 function createLogger(debug) {
-  const logs = [];
-  
-  return {
-    log: (message) => {
-      if (debug) {
-        logs.push(message);
-      }
-    },
-    getLogs: () => logs
-  };
+  return SalsifyAI.createLogger(debug, { redaction: { gtins: true } });
 }
 
 /* 
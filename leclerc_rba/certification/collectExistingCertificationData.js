@@ -1,15 +1,9 @@
 // Fonction pour créer un logger pour déboguer les étapes
 // Function to create a logger for debugging steps
+// The shared SalsifyAI logger (the wrapper.js helper bound as SalsifyAI) redacts credentials,
+// emails, phone numbers and GTINs from what it keeps.
 function createLogger(debugMode) {
-  const logs = [];
-  return {
-    log: (message) => {
-      if (debugMode) {
-        logs.push(message);
-      }
-    },
-    getLogs: () => logs
-  };
+  return SalsifyAI.createLogger(debugMode, { redaction: { gtins: true } });
 }
 
 // Task function to extract properties from the product context
@@ -3,80 +3,647 @@
  * It exposes a propertyValues(options) method to look up property values.
  *
  * Options:
- *   - name: string — Matches the property external_id (from property_value_collections) or the key in property_values.
+ *   - name: string — Matches the property external_id (from property_value_collections), the key in property_values
+ *     or the property_id in property_values_snapshot.
  *   - id: string — Matches the property id (from property_value_collections or property_values_snapshot).
  *   - dataType: string — e.g., "string", "number", "enumerated", etc.
  *   - locale: string — Optional locale filter.
+ *   - locales: array — Locale fallback chain, e.g. ["fr-FR", "fr", "en"]: per property, the values of the
+ *     first locale that has any. Values without a locale are used when none of the locales has values.
  *   - source: string — (Optional) "collections", "object", or "snapshot". Defaults to "collections" if available.
  *   - first: boolean — If true, returns the first matching value rather than an array.
+ *   - value: string — Keeps values equal to it, or enumerated values whose label or id equals it.
+ *   - parseEnums: boolean — If true, returns each value as { label, id, raw } (see parseEnumValue).
+ *   - as: string — Coerces each value: "number", "date", "boolean", "enum" or "quantity" (see coerceValue).
+ *     Values that cannot be coerced are left out and listed by unparseableValues().
+ *
+ * Enumerated values come as "label ∣ id" strings, e.g. "Champagne ∣ LECLERC_WINE_APPELLATION_CHAMPAGNE"
+ * or "France ∣ 250". parseEnumValue(value) splits them after repairing separators garbled by a
+ * wrong encoding ("‚à£", "âˆ£"); propertyEnumIds(name, options) and propertyEnumLabels(name, options)
+ * return just the ids or labels of a property. Property names are compared the same way.
+ *
+ * propertyValuesByLocale(name, options) maps each locale of a property to its values, and
+ * missingLocales(names, locales, options) reports which locales required properties lack. In the
+ * object source, localized properties hold a map of locale to values.
+ *
+ * diff({ names, defaultLocale }) and changedProperties({ names, defaultLocale }) compare the current
+ * values with property_values_snapshot, e.g. to skip work when none of a step's inputs changed.
  *
  * Usage Example:
  *   var sku = Product.propertyValues({ name: "SKU", first: true });
  *   var allStrings = Product.propertyValues({ dataType: "string" });
+ *
+ * Proposing changes:
+ *   proposeChange({ name, values, locale, reason, confidence, source }) records a proposed value
+ *   for a property, alongside its current values and a diff. Proposing the same name and locale
+ *   again replaces the earlier proposal. pendingChanges() lists the proposals and
+ *   toChangeSet(options) returns them as one change-set document for the platform to apply or
+ *   route to approval. Nothing is written to the entity.
+ *
+ *   Product.proposeChange({ name: "Allergens", values: ["Milk", "Eggs"], reason: "Found in the ingredient list",
+ *                           confidence: 0.92, source: "allergenReccomendation" });
+ *   var changeSet = Product.toChangeSet({ minConfidence: 0.8 });
  */
 function createProductHelper(context) {
-  return {
-    propertyValues: function(options) {
-      options = options || {};
-      var results = [];
-      var entity = context.entity;
-      var source = options.source;
-
-      // Determine default source if not provided
-      if (!source) {
-        if (entity.property_value_collections && entity.property_value_collections.length > 0) {
-          source = "collections";
-        } else if (entity.property_values) {
-          source = "object";
-        } else if (entity.property_values_snapshot && entity.property_values_snapshot.length > 0) {
-          source = "snapshot";
-        } else {
-          source = "object"; // fallback
+  var proposedChanges = [];
+  var ENUM_SEPARATOR = "\u2223";
+  // The separator's UTF-8 bytes read as Mac Roman, Windows-1252 and Latin-1.
+  var GARBLED_SEPARATORS = /\u201a\u00e0\u00a3|\u00e2\u02c6\u00a3|\u00e2\u0088\u00a3/g;
+
+  function normalizeEnumText(text) {
+    return typeof text === "string" ? text.normalize("NFC").replace(GARBLED_SEPARATORS, ENUM_SEPARATOR) : text;
+  }
+
+  // "label ∣ id" -> { label, id, raw }. Values without a separator keep their text as the label and
+  // have a null id; objects that already have a label are returned as they are.
+  function parseEnumValue(value) {
+    if (value && typeof value === "object" && value.label !== undefined) {
+      return value;
+    }
+    var text = normalizeEnumText(String(value));
+    var index = text.lastIndexOf(ENUM_SEPARATOR);
+    if (index === -1) {
+      return { label: text.trim(), id: null, raw: value };
+    }
+    return { label: text.slice(0, index).trim(), id: text.slice(index + 1).trim(), raw: value };
+  }
+
+  // { label, id } -> "label ∣ id", so proposed enumerated values compare with the stored strings.
+  function formatEnumValue(value) {
+    if (value && typeof value === "object" && value.label !== undefined && value.raw !== undefined) {
+      return value.raw;
+    }
+    if (value && typeof value === "object" && value.label !== undefined) {
+      return value.id === null || value.id === undefined ? value.label : value.label + " " + ENUM_SEPARATOR + " " + value.id;
+    }
+    return value;
+  }
+
+  function sameName(name, expected) {
+    return normalizeEnumText(name) === normalizeEnumText(expected);
+  }
+
+  function matchesValue(value, expected) {
+    if (typeof value !== "string" && !(value && typeof value === "object" && value.label !== undefined)) {
+      return value === expected;
+    }
+    var parsed = parseEnumValue(value);
+    expected = normalizeEnumText(String(expected)).trim();
+    return normalizeEnumText(String(parsed.raw)).trim() === expected || parsed.label === expected || parsed.id === expected;
+  }
+
+  var TRUE_WORDS = ["true", "yes", "oui", "vrai", "1"];
+  var FALSE_WORDS = ["false", "no", "non", "faux", "0"];
+  var FRENCH_MONTHS = ["janvier", "février", "mars", "avril", "mai", "juin", "juillet", "août", "septembre", "octobre", "novembre", "décembre"];
+  // Units that convert to a common base, so "75cl" and "0,75 L" compare equal.
+  var QUANTITY_UNITS = {
+    ml: { baseUnit: "ml", factor: 1 },
+    cl: { baseUnit: "ml", factor: 10 },
+    dl: { baseUnit: "ml", factor: 100 },
+    l: { baseUnit: "ml", factor: 1000 },
+    mg: { baseUnit: "g", factor: 0.001 },
+    g: { baseUnit: "g", factor: 1 },
+    kg: { baseUnit: "g", factor: 1000 }
+  };
+  var unparseable = [];
+
+  // Reads "12,5", "1 234,5", "1.234,5" and "1,234.5". A lone comma is a decimal separator, as in French.
+  function parseNumberText(text) {
+    var compact = text.replace(/[\s\u00a0\u202f]/g, "");
+    var lastComma = compact.lastIndexOf(",");
+    var lastDot = compact.lastIndexOf(".");
+    if (lastComma !== -1 && lastDot !== -1) {
+      var decimal = lastComma > lastDot ? "," : ".";
+      compact = compact.split(decimal === "," ? "." : ",").join("").replace(decimal, ".");
+    } else if (lastComma !== -1) {
+      compact = compact.indexOf(",") !== lastComma ? compact.replace(/,/g, "") : compact.replace(",", ".");
+    } else if (lastDot !== -1 && compact.indexOf(".") !== lastDot) {
+      compact = compact.replace(/\./g, "");
+    }
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(compact) ? parseFloat(compact) : null;
+  }
+
+  function utcDate(year, month, day) {
+    var date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+  }
+
+  var coercers = {
+    // Percentages and degrees keep their number: "12,5 %" and "12,5 % vol" -> 12.5.
+    number: function(value) {
+      if (typeof value === "number") {
+        return isFinite(value) ? value : null;
+      }
+      return typeof value === "string" ? parseNumberText(value.trim().replace(/\s*(%\s*(vol\.?)?|‰|°)$/i, "")) : null;
+    },
+    // "2025-12-31", "2025-12-31T10:00:00Z", "31/12/2025", "31.12.2025" and "31 décembre 2025" -> Date.
+    date: function(value) {
+      if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value;
+      }
+      // Numbers are ambiguous (epoch milliseconds or spreadsheet serial days), so they are unparseable.
+      if (typeof value !== "string") {
+        return null;
+      }
+      var text = value.trim().toLowerCase();
+      var match;
+      if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+        return utcDate(+match[1], +match[2], +match[3]);
+      }
+      if (/^\d{4}-\d{2}-\d{2}t/.test(text)) {
+        var dateTime = new Date(value.trim());
+        return isNaN(dateTime.getTime()) ? null : dateTime;
+      }
+      if ((match = text.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})$/))) {
+        return utcDate(+match[3], +match[2], +match[1]);
+      }
+      if ((match = text.normalize("NFC").match(/^(\d{1,2})(?:er)?\s+(\S+?)\.?\s+(\d{4})$/))) {
+        var month = FRENCH_MONTHS.indexOf(match[2]) + 1;
+        return month > 0 ? utcDate(+match[3], month, +match[1]) : null;
+      }
+      return null;
+    },
+    // true/false, yes/no, oui/non, vrai/faux and 1/0, also as the label or id of an enumerated value.
+    boolean: function(value) {
+      if (typeof value === "boolean") {
+        return value;
+      }
+      if (typeof value !== "string" && typeof value !== "number") {
+        return null;
+      }
+      var parsed = parseEnumValue(value);
+      var words = [parsed.label, parsed.id].filter(function(word) { return word !== null; }).map(function(word) { return word.toLowerCase(); });
+      if (words.some(function(word) { return TRUE_WORDS.indexOf(word) !== -1; })) {
+        return true;
+      }
+      return words.some(function(word) { return FALSE_WORDS.indexOf(word) !== -1; }) ? false : null;
+    },
+    enum: function(value) {
+      return value === null || value === undefined ? null : parseEnumValue(value);
+    },
+    // "75cl" -> { value: 75, unit: "cl", baseValue: 750, baseUnit: "ml" }. Unknown units keep their own value.
+    quantity: function(value) {
+      if (typeof value === "number") {
+        return { value: value, unit: null, baseValue: value, baseUnit: null };
+      }
+      var match = typeof value === "string" ? value.trim().match(/^([+-]?[\d\s\u00a0\u202f.,]*\d)\s*(\D.*?)?\.?$/) : null;
+      var amount = match ? parseNumberText(match[1]) : null;
+      if (amount === null) {
+        return null;
+      }
+      var unit = match[2] ? match[2].trim() : null;
+      var known = unit ? QUANTITY_UNITS[unit.toLowerCase()] : null;
+      return {
+        value: amount,
+        unit: unit,
+        baseValue: known ? Math.round(amount * known.factor * 1e9) / 1e9 : amount,
+        baseUnit: known ? known.baseUnit : unit
+      };
+    }
+  };
+
+  // Returns the coerced value, or null when it cannot be read as the given type.
+  function coerceValue(value, as) {
+    if (!coercers.hasOwnProperty(as)) {
+      throw new Error("Unsupported value type for 'as': " + as + ". Use number, date, boolean, enum or quantity.");
+    }
+    var coerced = coercers[as](value);
+    return coerced === undefined ? null : coerced;
+  }
+
+  // Text and { label, id } values compare by their parsed label and id, so spacing around the
+  // separator or a garbled separator does not make two enumerated values differ.
+  function valueKey(value) {
+    if (typeof value === "string" || (value && typeof value === "object" && value.label !== undefined)) {
+      var parsed = parseEnumValue(value);
+      return JSON.stringify([parsed.label, parsed.id]);
+    }
+    return JSON.stringify(value);
+  }
+
+  // Values in the first list that are missing from the second.
+  function missingValues(values, others) {
+    var otherKeys = others.map(valueKey);
+    return values.filter(function(value) {
+      return otherKeys.indexOf(valueKey(value)) === -1;
+    });
+  }
+
+  function copyChange(change) {
+    return JSON.parse(JSON.stringify(change));
+  }
+
+  function defaultSource(entity) {
+    if (entity.property_value_collections && entity.property_value_collections.length > 0) {
+      return "collections";
+    } else if (entity.property_values) {
+      return "object";
+    } else if (entity.property_values_snapshot && entity.property_values_snapshot.length > 0) {
+      return "snapshot";
+    }
+    return "object"; // fallback
+  }
+
+  // A plain object of arrays keyed by locale tags such as "fr" or "fr-FR", e.g. { "fr-FR": [...], "en": [...] }.
+  // Requiring arrays keeps single-valued objects such as { id, url } from passing as locale maps.
+  function isLocaleMap(value) {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      return false;
+    }
+    var keys = Object.keys(value);
+    return keys.length > 0 && keys.every(function(key) {
+      return /^[a-z]{2,3}(-[A-Z]{2})?$/.test(key) && Array.isArray(value[key]);
+    });
+  }
+
+  // The entries of the chosen source that match name, id and dataType, as { key, name, id, locale, values }
+  // where key identifies the property and locale is null for unlocalized values.
+  function propertyEntries(options) {
+    var entity = context.entity;
+    var source = options.source || defaultSource(entity);
+    var entries = [];
+
+    // Process structured collections
+    if (source === "collections") {
+      (entity.property_value_collections || []).forEach(function(col) {
+        if ((!options.name || sameName(col.property.external_id, options.name)) &&
+            (!options.id || col.property.id === options.id) &&
+            (!options.dataType || col.value_data_type === options.dataType) &&
+            col.values && col.values.length > 0) {
+          entries.push({
+            key: col.property.id || col.property.external_id,
+            name: col.property.external_id,
+            id: col.property.id,
+            locale: col.locale_id || null,
+            values: col.values
+          });
+        }
+      });
+    }
+    // Process flat object (less detailed; no data type filtering possible). Localized properties
+    // hold a map of locale to values.
+    else if (source === "object") {
+      var propVals = entity.property_values || {};
+      for (var key in propVals) {
+        if (propVals.hasOwnProperty(key) && (!options.name || sameName(key, options.name)) && !options.dataType) {
+          if (isLocaleMap(propVals[key])) {
+            for (var locale in propVals[key]) {
+              entries.push({ key: key, name: key, locale: locale, values: propVals[key][locale] });
+            }
+          } else {
+            entries.push({ key: key, name: key, locale: null, anyLocale: true, values: [].concat(propVals[key]) });
+          }
+        }
+      }
+    }
+    // Process snapshot array (can filter by data_type and id; name also matches property_id)
+    else if (source === "snapshot") {
+      (entity.property_values_snapshot || []).forEach(function(snap) {
+        if ((!options.id || snap.property_id === options.id) &&
+            (!options.name || sameName(snap.property_id, options.name)) &&
+            (!options.dataType || snap.data_type === options.dataType) &&
+            snap.values && snap.values.length > 0) {
+          entries.push({ key: snap.property_id, name: snap.property_id, locale: snap.locale_id || null, values: snap.values });
         }
+      });
+    }
+    return entries;
+  }
+
+  function groupByProperty(entries) {
+    var groups = [];
+    var groupIndex = {};
+    entries.forEach(function(entry) {
+      if (!groupIndex.hasOwnProperty(entry.key)) {
+        groupIndex[entry.key] = groups.length;
+        groups.push([]);
       }
+      groups[groupIndex[entry.key]].push(entry);
+    });
+    return groups;
+  }
 
-      // Helper function to check if a value matches the given options
-      function matchesOptions(value, options) {
-        return (!options.name || value.property.external_id === options.name) &&
-               (!options.id || value.property.id === options.id) &&
-               (!options.dataType || value.value_data_type === options.dataType) &&
-               (!options.locale || value.locale_id === options.locale);
+  // The entries of the first locale in the list that has values, falling back to unlocalized values.
+  function entriesForLocales(entries, locales) {
+    for (var i = 0; i < locales.length; i++) {
+      var exact = entries.filter(function(entry) { return entry.locale === locales[i]; });
+      if (exact.length > 0) {
+        return exact;
       }
+    }
+    return entries.filter(function(entry) { return entry.locale === null; });
+  }
 
-      // Process structured collections
-      if (source === "collections") {
-        var collections = entity.property_value_collections;
-        collections.forEach(function(col) {
-          if (matchesOptions(col, options) && col.values && col.values.length > 0) {
-            results = results.concat(col.values);
-          }
-        });
+  // Compares the current values (collections, or the object source without collections) with
+  // property_values_snapshot, per property and locale. Snapshot property_ids match either the
+  // property external_id or id. Values without a locale of a property that has localized values
+  // elsewhere count as options.defaultLocale, or as the property's only locale, so a locale_id
+  // present on one side only is not reported as a removal and an addition.
+  function diffSnapshot(options) {
+    options = options || {};
+    var entity = context.entity;
+    var currentSource = options.source || (entity.property_value_collections && entity.property_value_collections.length > 0 ? "collections" : "object");
+    var names = options.names || null;
+    var aliases = {};
+    var slots = [];
+    var slotIndex = {};
+
+    // names may list property ids, for snapshot entries whose property has no collection entry left.
+    function wanted(name, id) {
+      return !names || names.some(function(expected) {
+        return sameName(name, expected) || (id !== undefined && id !== null && sameName(id, expected));
+      });
+    }
+
+    function slotFor(name, locale) {
+      var slotKey = JSON.stringify([normalizeEnumText(name), locale]);
+      if (!slotIndex.hasOwnProperty(slotKey)) {
+        slotIndex[slotKey] = slots.length;
+        slots.push({ name: name, locale: locale, before: [], after: [] });
       }
-      // Process flat object (less detailed; no data type filtering possible)
-      else if (source === "object") {
-        var propVals = entity.property_values;
-        for (var key in propVals) {
-          if (propVals.hasOwnProperty(key) && (!options.name || key === options.name) && !options.dataType) {
-            results = results.concat(propVals[key]);
-          }
+      return slots[slotIndex[slotKey]];
+    }
+
+    // Ids resolve through every collection entry, including cleared ones without values.
+    (entity.property_value_collections || []).forEach(function(col) {
+      if (col.property && col.property.id !== undefined && col.property.external_id !== undefined) {
+        aliases[col.property.id] = col.property.external_id;
+      }
+    });
+    var current = propertyEntries({ source: currentSource }).filter(function(entry) {
+      return wanted(entry.name, entry.id);
+    });
+    var snapshot = [];
+    propertyEntries({ source: "snapshot" }).forEach(function(entry) {
+      var name = aliases.hasOwnProperty(entry.name) ? aliases[entry.name] : entry.name;
+      if (wanted(name, entry.name)) {
+        snapshot.push({ name: name, locale: entry.locale, values: entry.values });
+      }
+    });
+
+    var propertyLocales = {};
+    current.concat(snapshot).forEach(function(entry) {
+      var key = normalizeEnumText(entry.name);
+      propertyLocales[key] = propertyLocales[key] || [];
+      if (entry.locale !== null && propertyLocales[key].indexOf(entry.locale) === -1) {
+        propertyLocales[key].push(entry.locale);
+      }
+    });
+    function localeOf(entry) {
+      var locales = propertyLocales[normalizeEnumText(entry.name)];
+      if (entry.locale !== null || locales.length === 0) {
+        return entry.locale;
+      }
+      return options.defaultLocale || (locales.length === 1 ? locales[0] : null);
+    }
+
+    current.forEach(function(entry) {
+      var slot = slotFor(entry.name, localeOf(entry));
+      slot.after = slot.after.concat(entry.values);
+    });
+    snapshot.forEach(function(entry) {
+      var slot = slotFor(entry.name, localeOf(entry));
+      slot.before = slot.before.concat(entry.values);
+    });
+
+    var changes = [];
+    slots.forEach(function(slot) {
+      var added = missingValues(slot.after, slot.before);
+      var removed = missingValues(slot.before, slot.after);
+      if (added.length === 0 && removed.length === 0) {
+        return;
+      }
+      changes.push({
+        name: slot.name,
+        locale: slot.locale,
+        status: slot.before.length === 0 ? "added" : (slot.after.length === 0 ? "removed" : "modified"),
+        before: slot.before,
+        after: slot.after,
+        added: added,
+        removed: removed
+      });
+    });
+    return { changed: changes.length > 0, changes: changes };
+  }
+
+  // Applies the value, parseEnums and as options, recording values 'as' cannot coerce.
+  function shapeValues(results, options) {
+    if (options.value !== undefined) {
+      results = results.filter(function(value) {
+        return matchesValue(value, options.value);
+      });
+    }
+    if (options.parseEnums) {
+      results = results.map(parseEnumValue);
+    }
+    if (options.as) {
+      var coerced = [];
+      results.forEach(function(value) {
+        var result = coerceValue(value, options.as);
+        if (result === null) {
+          unparseable.push({ name: options.name || null, value: value, as: options.as });
+        } else {
+          coerced.push(result);
         }
+      });
+      results = coerced;
+    }
+    return results;
+  }
+
+  // The values propertyValues returns, without first. Internal lookups call this directly so they
+  // leave the unparseable side channel of the caller's last call alone.
+  function collectValues(options) {
+    var entries = propertyEntries(options);
+    var results = [];
+    groupByProperty(entries).forEach(function(group) {
+      var selected = group;
+      if (options.locales) {
+        selected = entriesForLocales(group, options.locales);
+      } else if (options.locale) {
+        // A strict filter; plain values in the object source carry no locale and match any.
+        selected = group.filter(function(entry) { return entry.locale === options.locale || entry.anyLocale; });
       }
-      // Process snapshot array (can filter by data_type and id)
-      else if (source === "snapshot") {
-        var snapshots = entity.property_values_snapshot;
-        snapshots.forEach(function(snap) {
-          if ((!options.id || snap.property_id === options.id) &&
-              (!options.dataType || snap.data_type === options.dataType) &&
-              (!options.locale || snap.locale_id === options.locale) &&
-              snap.values && snap.values.length > 0) {
-            results = results.concat(snap.values);
-          }
+      selected.forEach(function(entry) {
+        results = results.concat(entry.values);
+      });
+    });
+    return shapeValues(results, options);
+  }
+
+  var helper = {
+    propertyValues: function(options) {
+      options = options || {};
+      if (options.as) {
+        unparseable = [];
+      }
+      var results = collectValues(options);
+      return options.first && results.length > 0 ? results[0] : results;
+    },
+
+    // A property's values by locale, e.g. { "fr-FR": [...], "en-US": [...] }. Unlocalized values are
+    // under "default". Accepts the source, id, dataType, value, parseEnums and as options.
+    propertyValuesByLocale: function(name, options) {
+      var byLocale = {};
+      options = Object.assign({}, options, { name: name });
+      propertyEntries(options).forEach(function(entry) {
+        var locale = entry.locale || "default";
+        byLocale[locale] = (byLocale[locale] || []).concat(entry.values);
+      });
+      if (options.as) {
+        unparseable = [];
+      }
+      Object.keys(byLocale).forEach(function(locale) {
+        byLocale[locale] = shapeValues(byLocale[locale], options);
+      });
+      return byLocale;
+    },
+
+    // Reports which of the locales each required property has no values for, counting unlocalized
+    // values as present in every locale. Options: source.
+    //   { complete, missing: [{ name, locales }], byLocale: { locale: [names] } }
+    missingLocales: function(names, locales, options) {
+      var missing = [];
+      var byLocale = {};
+      locales.forEach(function(locale) {
+        byLocale[locale] = [];
+      });
+      names.forEach(function(name) {
+        var entries = propertyEntries(Object.assign({}, options, { name: name }));
+        var absent = locales.filter(function(locale) {
+          return entriesForLocales(entries, [locale]).length === 0;
+        });
+        absent.forEach(function(locale) {
+          byLocale[locale].push(name);
         });
+        if (absent.length > 0) {
+          missing.push({ name: name, locales: absent });
+        }
+      });
+      return { complete: missing.length === 0, missing: missing, byLocale: byLocale };
+    },
+
+    // What changed since property_values_snapshot, per property and locale:
+    //   { changed, changes: [{ name, locale, status, before, after, added, removed }] }
+    // where status is "added", "removed" or "modified". Options:
+    //   - names: array — Only compare these properties, by name or id.
+    //   - source: string — The current values, "collections" or "object". Defaults to collections if available.
+    diff: function(options) {
+      return diffSnapshot(options);
+    },
+
+    // The names of the properties that changed since the snapshot; takes the options of diff.
+    changedProperties: function(options) {
+      var names = [];
+      diffSnapshot(options).changes.forEach(function(change) {
+        if (names.indexOf(change.name) === -1) {
+          names.push(change.name);
+        }
+      });
+      return names;
+    },
+
+    // The ids of a property's enumerated values; options are passed to propertyValues.
+    propertyEnumIds: function(name, options) {
+      return collectValues(Object.assign({}, options, { name: name, parseEnums: true, as: undefined }))
+        .map(function(value) { return value.id; })
+        .filter(function(id) { return id !== null; });
+    },
+
+    // The labels of a property's enumerated values; options are passed to propertyValues.
+    propertyEnumLabels: function(name, options) {
+      return collectValues(Object.assign({}, options, { name: name, parseEnums: true, as: undefined }))
+        .map(function(value) { return value.label; });
+    },
+
+    // The values the last propertyValues or propertyValuesByLocale call with 'as' could not coerce:
+    // [{ name, value, as }].
+    unparseableValues: function() {
+      return unparseable.slice();
+    },
+
+    parseEnumValue: parseEnumValue,
+    normalizeEnumText: normalizeEnumText,
+    coerceValue: coerceValue,
+
+    // Records a proposed value for a property and returns the normalized change.
+    //   - name: string — The property external_id (required).
+    //   - values: array or single value — The proposed values; null or [] proposes clearing the property.
+    //     Enumerated values can be given as { label, id } objects.
+    //   - locale: string — Optional locale of the values.
+    //   - reason: string — Why the change is proposed.
+    //   - confidence: number — Between 0 and 1.
+    //   - source: string — The workflow step or model that proposed it.
+    proposeChange: function(change) {
+      change = change || {};
+      if (typeof change.name !== "string" || change.name === "") {
+        throw new Error("proposeChange requires a property name.");
+      }
+      if (change.confidence !== undefined && change.confidence !== null &&
+          (typeof change.confidence !== "number" || change.confidence < 0 || change.confidence > 1)) {
+        throw new Error("The confidence for " + change.name + " must be a number between 0 and 1.");
       }
 
-      return options.first && results.length > 0 ? results[0] : results;
+      var proposedValues = change.values === undefined || change.values === null ? [] : [].concat(change.values).map(formatEnumValue);
+      var currentValues = collectValues({ name: change.name, locale: change.locale });
+      var added = missingValues(proposedValues, currentValues);
+      var removed = missingValues(currentValues, proposedValues);
+      var normalized = {
+        name: change.name,
+        locale: change.locale || null,
+        currentValues: currentValues,
+        proposedValues: proposedValues,
+        diff: { added: added, removed: removed, changed: added.length > 0 || removed.length > 0 },
+        reason: change.reason || null,
+        confidence: typeof change.confidence === "number" ? change.confidence : null,
+        source: change.source || null,
+        proposedAt: new Date().toISOString()
+      };
+
+      proposedChanges = proposedChanges.filter(function(existing) {
+        return existing.name !== normalized.name || existing.locale !== normalized.locale;
+      });
+      proposedChanges.push(normalized);
+      return copyChange(normalized);
+    },
+
+    // The changes proposed so far, in the order they were proposed.
+    pendingChanges: function() {
+      return proposedChanges.map(copyChange);
+    },
+
+    // Returns the proposed changes as a change-set document:
+    //   { entityId, createdAt, requiresApproval, changes: [change + requiresApproval], skipped: [names] }
+    // Options:
+    //   - minConfidence: number — Changes below it, or without a confidence, require approval.
+    //   - includeUnchanged: boolean — Keep proposals that match the current values (listed in skipped otherwise).
+    toChangeSet: function(options) {
+      options = options || {};
+      var changes = [];
+      var skipped = [];
+      proposedChanges.forEach(function(change) {
+        if (!change.diff.changed && !options.includeUnchanged) {
+          skipped.push(change.name);
+          return;
+        }
+        var entry = copyChange(change);
+        entry.requiresApproval = typeof options.minConfidence === "number" &&
+          (entry.confidence === null || entry.confidence < options.minConfidence);
+        changes.push(entry);
+      });
+
+      var entity = context.entity || {};
+      return {
+        entityId: entity.id !== undefined ? entity.id : (entity.external_id !== undefined ? entity.external_id : null),
+        createdAt: new Date().toISOString(),
+        requiresApproval: changes.some(function(change) { return change.requiresApproval; }),
+        changes: changes,
+        skipped: skipped
+      };
     }
   };
+
+  return helper;
 }
 
 // Assume the workflow context is available as "context" (provided by your environment).